@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+import path from "path";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import { Database } from "../src/database.js";
+
+const USAGE = `Usage: atlas-migrate <command> [options]
+
+Commands:
+  up                 apply pending migrations
+  down [steps]       revert the last applied migrations (default 1)
+  status             list applied and pending migrations
+  create <name>      write an empty migration file
+
+Options:
+  --config <file>    module whose default export is your Database instance
+  --uri <uri>        connection string, defaults to $MONGODB_URI
+  --dir <dir>        migrations directory (default "migrations")
+  --collection <c>   collection tracking applied migrations (default "migrations")`;
+
+async function loadDatabase({ config, uri }) {
+  if (config) {
+    const { default: database } = await import(pathToFileURL(path.resolve(config)).href);
+    if (!(database instanceof Database)) throw new Error(`${config} must default-export a Database`);
+    return database;
+  }
+  if (!uri) throw new Error("Pass --config or --uri (or set MONGODB_URI)");
+  return new Database({ uri, retry: { retries: 0 } });
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: "string" },
+      uri: { type: "string", default: process.env.MONGODB_URI },
+      dir: { type: "string" },
+      collection: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command, arg] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const migrations = {};
+  if (values.dir) migrations.dir = values.dir;
+  if (values.collection) migrations.collection = values.collection;
+
+  if (command === "create") {
+    if (!arg) throw new Error("create needs a migration name");
+    const database = new Database({});
+    console.log(`Created ${await database.migrations.create(arg, migrations)}`);
+    return;
+  }
+  if (!["up", "down", "status"].includes(command)) throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+
+  const database = await loadDatabase(values);
+  if (!(await database.connect())) throw new Error("Could not connect to the database");
+  try {
+    if (command === "up") {
+      const applied = await database.migrations.migrate(migrations);
+      console.log(applied.length ? `Applied ${applied.join(", ")}` : "Nothing to migrate");
+    } else if (command === "down") {
+      const reverted = await database.migrations.rollback(arg === undefined ? 1 : Number(arg), migrations);
+      console.log(reverted.length ? `Reverted ${reverted.join(", ")}` : "Nothing to roll back");
+    } else {
+      for (const { name, applied, appliedAt, missing } of await database.migrations.status(migrations)) {
+        const state = missing ? "missing" : applied ? "applied" : "pending";
+        console.log(`${state.padEnd(8)} ${name}${appliedAt ? `  (${appliedAt.toISOString()})` : ""}`);
+      }
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -1,27 +1,628 @@
 declare module 'atlas-server' {
     export interface DatabaseConfig {
-        subdomain: string;
-        username: string;
-        password: string;
-        cluster: string;
-        dbName: string;
+        /** full connection string, used as is */
+        uri?: string;
+        /** host list for a local mongod, docker container or self-hosted replica set, e.g. ["localhost:27017"] */
+        hosts?: string | string[];
+        /** MongoDB Atlas fields, used when neither uri nor hosts is given */
+        subdomain?: string;
+        cluster?: string;
+        username?: string; // URL-encoded automatically
+        password?: string; // URL-encoded automatically
+        dbName?: string;
+        replicaSet?: string;
+        authSource?: string;
+        tls?: boolean;
+        /** passed through to mongoose.connect() */
+        options?: Record<string, any>;
+        /** defaults for migrate()/rollback()/migrations.status() */
+        migrations?: MigratorOptions;
+    }
+
+    export function buildConnectionUrls(config: DatabaseConfig): Array<{ label: string; url: string }>;
+
+    export interface RetryOptions {
+        retries?: number; // default 5
+        minDelay?: number; // ms, default 500
+        maxDelay?: number; // ms, default 30000
+        factor?: number; // default 2
+        jitter?: boolean; // default true
+    }
+
+    export interface DatabaseStatus {
+        state: 'disconnected' | 'connected' | 'connecting' | 'disconnecting' | 'unknown';
+        host?: string;
+        name?: string;
+        connectedAt: Date | null;
+        attempts: number;
+        lastError: string | null;
     }
 
     export class Database {
         private config: DatabaseConfig;
-        constructor(config: DatabaseConfig);
+        constructor(config: DatabaseConfig & { retry?: RetryOptions });
         connect(): Promise<boolean>;
+        disconnect(): Promise<void>;
+        isConnected(): boolean;
+        status(): DatabaseStatus;
+        migrator(options?: MigratorOptions): Migrator;
+        migrate(options?: MigratorOptions): Promise<string[]>;
+        rollback(steps?: number, options?: MigratorOptions): Promise<string[]>;
+        /** migration commands; status() on Database itself is the connection status */
+        readonly migrations: DatabaseMigrations;
+        /** load fixtures into Model() collections, see seed() */
+        seed(source: string | SeedFixtures, options?: SeedOptions): Promise<SeedResult>;
+        /** runs fn in a transaction, retrying on transient errors; needs a replica set */
+        transaction<R>(fn: (session: any) => Promise<R>, options?: { retries?: number } & Record<string, any>): Promise<R>;
+        on(event: 'connected' | 'disconnected' | 'reconnected', listener: () => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        once(event: 'connected' | 'disconnected' | 'reconnected', listener: () => void): this;
+        once(event: 'error', listener: (err: Error) => void): this;
+        off(event: string, listener: (...args: any[]) => void): this;
+    }
+
+    export interface DatabaseMigrations {
+        migrate(options?: MigratorOptions): Promise<string[]>;
+        rollback(steps?: number, options?: MigratorOptions): Promise<string[]>;
+        /** applied and pending migrations */
+        status(options?: MigratorOptions): Promise<MigrationState[]>;
+        /** path of the new, empty migration file */
+        create(name: string, options?: MigratorOptions): Promise<string>;
+    }
+
+    export interface MigratorOptions {
+        dir?: string; // default "migrations"
+        collection?: string; // default "migrations"
+        lockTimeout?: number; // ms before a crashed run's lock is taken over, default 10 minutes; renewed while running
+        connection?: any; // mongoose Connection, default mongoose.connection
+    }
+
+    export interface MigrationState {
+        name: string;
+        applied: boolean;
+        appliedAt: Date | null;
+        missing?: boolean; // applied, but the file is gone
+    }
+
+    /** migration files export up({ db, connection, mongoose }) and down(...) */
+    export class Migrator {
+        constructor(options?: MigratorOptions);
+        migrate(): Promise<string[]>;
+        rollback(steps?: number): Promise<string[]>;
+        status(): Promise<MigrationState[]>;
+        create(name: string): Promise<string>;
+    }
+
+    export interface RequestContext {
+        user: any; // req.user, read when asked for
+        requestId: string | null;
+        tenantId: string | null; // req.tenantId, read when asked for
+        req: any | null;
+    }
+
+    /** Express middleware; Server installs it for every request */
+    export function requestContext(): Middleware;
+    export function runWithContext<R>(context: { user?: any; requestId?: string; tenantId?: string; req?: any }, fn: () => R): R;
+    export function getContext(): RequestContext;
+
+    export interface TenantOptions {
+        header?: string | false; // default "X-Tenant-Id"
+        subdomain?: boolean; // leftmost subdomain
+        claim?: string; // req.user claim; when set, the only source
+        fallback?: boolean; // with claim: unauthenticated requests may use subdomain/header
+        resolve?: (req: any) => string | null;
+        required?: boolean; // 400 TENANT_REQUIRED without one (with claim: checked once req.user is set)
+    }
+
+    /** sets req.tenantId; Server.tenancy() installs it */
+    export function resolveTenant(options?: TenantOptions): Middleware;
+    /** getContext().tenantId, throws BadRequest TENANT_REQUIRED when missing */
+    export function currentTenant(): string;
+
+    export function backoffDelay(attempt: number, retry: Required<RetryOptions>): number;
+
+    export interface StaticDirOptions {
+        dir: string;
+        route?: string; // mount path, defaults to "/"
+        maxAge?: number | string;
+        immutable?: boolean;
+        cacheControl?: boolean;
+        etag?: boolean;
+        index?: string | string[] | false;
+        dotfiles?: 'allow' | 'deny' | 'ignore';
+    }
+
+    export interface SecurityHeaderOptions {
+        contentSecurityPolicy?: false | {
+            directives?: Record<string, string | string[] | boolean | null>; // camelCase or kebab-case names; null drops a default
+            useDefaults?: boolean;
+            reportOnly?: boolean;
+        };
+        hsts?: false | { maxAge?: number; includeSubDomains?: boolean; preload?: boolean };
+        frameOptions?: false | 'DENY' | 'SAMEORIGIN';
+        referrerPolicy?: false | string | string[];
+        permissionsPolicy?: Record<string, string[]>; // { camera: [], geolocation: ["self"] }
+        noSniff?: boolean;
+    }
+
+    /** exact origin, "*", "*.example.com" wildcard, RegExp or predicate */
+    export type CorsOrigin = string | RegExp | ((origin: string, req: any) => boolean);
+
+    export interface CorsOptions {
+        credentials?: boolean; // default true; ignored for "*"
+        methods?: string[];
+        allowedHeaders?: string[];
+        exposedHeaders?: string[];
+        maxAge?: number; // preflight cache, seconds
+    }
+
+    export interface ServerOptions {
+        bodyLimit?: string | number | { json?: string | number; urlencoded?: string | number }; // default "10mb"
+        static?: false | string | StaticDirOptions | Array<string | StaticDirOptions>; // default "public"
+        trustProxy?: boolean | number | string | string[] | ((ip: string, hop: number) => boolean);
+        securityHeaders?: false | SecurityHeaderOptions;
+        /** off by default; true for { dir: "uploads", route: "/uploads" } */
+        uploads?: boolean | { dir?: string; route?: string; maxAge?: number | string; setHeaders?: (res: any, path: string, stat: any) => void };
+        accessLog?: boolean; // default true
+        requestIdHeader?: string; // default "X-Request-Id"
+    }
+
+    export interface QueryOptions {
+        sort?: string | Record<string, 1 | -1 | 'asc' | 'desc'>; // "-createdAt,name"
+        select?: string | Record<string, 0 | 1>;
+        populate?: any;
+        lean?: boolean;
+        session?: any; // mongoose ClientSession from Database.transaction()
     }
 
+    export interface Page<T> {
+        items: T[];
+        total: number;
+        page: number;
+        pages: number;
+        limit: number;
+        hasNext: boolean;
+    }
+
+    export interface CursorPage<T> {
+        items: T[];
+        nextCursor: string | null;
+        hasNext: boolean;
+    }
+
+    export interface ModelOptions {
+        middleware?: (schema: any) => void;
+        maxLimit?: number; // largest page size findAll/findCursor accept, default 100
+        softDelete?: boolean; // adds deletedAt/deletedBy; deleteById marks instead of removing
+        audit?: boolean | AuditOptions; // record every write made through the wrapper
+        cache?: boolean | ModelCacheOptions; // read-through cache for findById/findOne/findAll
+        tenant?: 'field' | 'database' | TenantModelOptions; // confine every call to getContext().tenantId
+        search?: string[] | Record<string, number> | { fields: string[] | Record<string, number>; language?: string }; // text index, adds search()
+        geo?: string | string[]; // GeoJSON fields with 2dsphere indexes, adds near()/within()
+        [schemaOption: string]: any; // passed to mongoose.Schema
+    }
+
+    export interface TenantModelOptions {
+        mode?: 'field' | 'database'; // default "field"
+        field?: string; // "field" mode, default "tenantId"
+        dbName?: (tenantId: string) => string; // "database" mode, default tenant_<id>
+    }
+
+    export interface ModelCacheOptions {
+        ttl?: number; // seconds, default 60
+        store?: Cache; // default a Cache shared by every cached model
+    }
+
+    export interface AuditOptions {
+        collection?: string; // default "history", shared by every audited model
+        actor?: (user: any) => any; // what to store from getContext().user, default user.id
+    }
+
+    export interface HistoryEntry {
+        model: string;
+        documentId: any;
+        version: number;
+        action: 'create' | 'update' | 'delete' | 'restore' | 'revert';
+        before: Record<string, any> | null;
+        after: Record<string, any> | null;
+        diff: Array<{ path: string; from: any; to: any }>;
+        actor: any;
+        requestId: string | null;
+        tenantId: string | null;
+        at: Date;
+    }
+
+    /** `session` comes from Database.transaction() */
+    export interface SessionOption {
+        session?: any; // mongoose ClientSession
+    }
+
+    export interface ModelApi<T = any> {
+        create(data: Partial<T>, options?: SessionOption): Promise<T>;
+        findAll(filters?: Record<string, any>, options?: QueryOptions): Promise<T[]>;
+        findAll(filters: Record<string, any>, options: QueryOptions & { page?: number | string; limit?: number | string }): Promise<Page<T>>;
+        findCursor(filters?: Record<string, any>, options?: QueryOptions & { after?: string | null; limit?: number | string; field?: string; order?: 'asc' | 'desc' }): Promise<CursorPage<T>>;
+        findOne(filters?: Record<string, any>, options?: QueryOptions): Promise<T | null>;
+        findById(id: any, options?: QueryOptions): Promise<T | null>;
+        updateById(id: any, data: Record<string, any>, options?: SessionOption): Promise<T | null>;
+        deleteById(id: any, options?: SessionOption & { deletedBy?: any }): Promise<T | null>;
+        createMany(docs: Array<Partial<T>>, options?: SessionOption & { ordered?: boolean }): Promise<T[]>;
+        updateMany(filters: Record<string, any>, data: Record<string, any>, options?: SessionOption): Promise<{ matchedCount: number; modifiedCount: number }>;
+        deleteMany(filters: Record<string, any>, options?: SessionOption & { deletedBy?: any }): Promise<{ deletedCount?: number; modifiedCount?: number }>;
+        upsert(filters: Record<string, any>, data: Record<string, any>, options?: SessionOption): Promise<T>;
+        bulkWrite(operations: Array<Record<string, any>>, options?: SessionOption & { ordered?: boolean }): Promise<any>;
+        /** softDelete models only */
+        restoreById?(id: any, options?: SessionOption): Promise<T | null>;
+        findDeleted?(filters?: Record<string, any>, options?: QueryOptions & { page?: number | string; limit?: number | string }): Promise<T[] | Page<T>>;
+        purgeById?(id: any, options?: SessionOption): Promise<T | null>;
+        /** audit models only */
+        history?(id: any): Promise<HistoryEntry[]>;
+        revertTo?(id: any, version: number, options?: SessionOption): Promise<T>;
+        /** search models only */
+        search?(text: string, options?: SessionOption & { fields?: string[]; limit?: number; filters?: Record<string, any>; select?: string | Record<string, 0 | 1>; lean?: boolean }): Promise<Array<{ item: T; score: number }>>;
+        /** geo models only; distances in meters */
+        near?(point: { lng: number; lat: number }, options?: SessionOption & { maxDistance?: number; minDistance?: number; limit?: number; filters?: Record<string, any>; field?: string; lean?: boolean }): Promise<Array<{ item: T; distance: number }>>;
+        within?(polygon: Array<[number, number]> | Record<string, any>, options?: QueryOptions & { filters?: Record<string, any>; field?: string; page?: number | string; limit?: number | string }): Promise<T[] | Page<T>>;
+        /** cache models only: drop every cached read of this model */
+        clearCache?(): void;
+        raw: any; // mongoose Model
+    }
+
+    export function Model<T = any>(modelName: string, schemaDefinition: Record<string, any>, options?: ModelOptions): ModelApi<T>;
+    /** Model() objects are registered by name */
+    export function getModel<T = any>(modelName: string): ModelApi<T> | undefined;
+    export function modelNames(): string[];
+
+    /** per model: documents, { symbolicName: document } (referenced as "@name" / "@Model.name"), or a count to generate */
+    export type SeedFixtures = Record<string, Array<Record<string, any>> | Record<string, Record<string, any>> | number>;
+
+    export interface SeedOptions {
+        reset?: boolean | string[]; // empty the seeded collections, or the listed models, first
+    }
+
+    export interface SeedResult {
+        inserted: Record<string, number>;
+        ids: Record<string, any>; // symbolic name -> _id
+    }
+
+    export function seed(source: string | SeedFixtures, options?: SeedOptions): Promise<SeedResult>;
+    export function fakeDocuments(model: ModelApi, count: number, options?: { offset?: number }): Promise<Record<string, any>[]>;
+
+    type Middleware = (req: any, res: any, next: (err?: any) => void) => any;
+
+    export interface ResourceOptions {
+        only?: Array<'list' | 'get' | 'create' | 'update' | 'delete'>;
+        writable?: string[]; // fields create/update accept, default every schema field except select: false / encrypted
+        filterable?: string[]; // fields list accepts as ?field=value / ?field[gte]=value filters, same default
+        selectable?: string[]; // fields ?select= and ?sort= may name, same default plus _id and timestamps
+        limit?: number; // default page size, default 20
+        sort?: string; // default "-createdAt"
+        validate?: boolean; // validate bodies against the model schema, default true
+        middleware?: Partial<Record<'all' | 'list' | 'get' | 'create' | 'update' | 'delete', Middleware | Middleware[]>>;
+    }
+
+    /** Express Router with GET /, GET /:id, POST /, PATCH|PUT /:id and DELETE /:id for a Model() */
+    export function Resource(model: ModelApi, options?: ResourceOptions): any;
+
     export class Server {
         private port: number;
         private server: any; // express.Application
-        constructor(port: number);
-        connectFrontend(frontendUrl: string): void;
-        Start(): Promise<void>;
+        private httpServer: any; // http.Server, set while listening
+        constructor(port: number, options?: ServerOptions);
+        connectFrontend(frontendUrl: CorsOrigin | CorsOrigin[], options?: CorsOptions & { routes?: Record<string, CorsOptions & { origin?: CorsOrigin | CorsOrigin[] }> }): void;
+        metrics: Metrics | null; // set by enableHealth() unless metricsPath is false
+        rateLimit(options?: RateLimitOptions & { routes?: string | string[] }): this;
+        tenancy(options?: TenantOptions): this;
+        upload(options?: UploadOptions): (req: any, res: any, next: (err?: any) => void) => void;
+        addReadinessCheck(name: string, fn: () => boolean | Promise<boolean>): this;
+        enableHealth(options?: HealthOptions): this;
+        onStart(fn: (server: Server) => any): this;
+        onShutdown(fn: (server: Server) => any): this;
+        Start(options?: { handleSignals?: boolean }): Promise<any>; // resolves with http.Server once listening
+        Stop(options?: { timeout?: number }): Promise<void>;
         Route(route: string, router: any): void; // router: express.Router
     }
 
+    export interface HttpErrorOptions {
+        code?: string;
+        details?: any;
+        cause?: Error;
+    }
+
+    export class HttpError extends Error {
+        status: number;
+        code: string;
+        details?: any;
+        constructor(status?: number, message?: string, options?: HttpErrorOptions);
+    }
+    export class BadRequest extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class Unauthorized extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class Forbidden extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class NotFound extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class Conflict extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class UnprocessableEntity extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class TooManyRequests extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+    export class InternalServerError extends HttpError { constructor(message?: string, options?: HttpErrorOptions); }
+
+    export interface ErrorResponse {
+        success: false;
+        status: number;
+        message: string;
+        code: string;
+        details?: any;
+        stack?: string; // omitted when NODE_ENV=production
+    }
+
+    export function errorHandler(err: any, req: any, res: any, next: (err?: any) => void): void;
+    export function notFoundHandler(req: any, res: any, next: (err?: any) => void): void;
+
+    export interface ValidationIssue {
+        location: 'body' | 'query' | 'params';
+        path: string;
+        message: string;
+    }
+
+    /**
+     * Schemas use the Model() definition format; a Model() object or a mongoose
+     * Schema can be passed instead. query and params values are coerced from strings.
+     * Failures are forwarded as a 400 BadRequest with code VALIDATION_ERROR and
+     * details: ValidationIssue[].
+     */
+    export function validate(
+        schemas: { body?: any; query?: any; params?: any },
+        options?: { partial?: boolean }
+    ): (req: any, res: any, next: (err?: any) => void) => void;
+
+    export interface TokenPair {
+        accessToken: string;
+        refreshToken: string;
+    }
+
+    export function Encrypt(plainText: string): Promise<string>;
+    export function Compare(plainText: string, hash: string): Promise<boolean>;
+
+    export interface PasswordPolicy {
+        minLength?: number;
+        maxLength?: number;
+        minClasses?: number; // of lowercase, uppercase, digits, symbols
+        common?: boolean | Iterable<string>;
+        forbidden?: string[];
+    }
+
+    export interface PasswordCheck {
+        valid: boolean;
+        reasons: Array<{ code: 'TOO_SHORT' | 'TOO_LONG' | 'TOO_SIMPLE' | 'COMMON' | 'PERSONAL_INFO'; message: string }>;
+    }
+
+    export function checkPasswordStrength(password: string, policy?: PasswordPolicy): PasswordCheck;
+
+    export interface PasswordHasherOptions {
+        algorithm?: 'bcrypt' | 'scrypt';
+        cost?: number; // bcrypt rounds
+        scrypt?: { N?: number; r?: number; p?: number; keylen?: number };
+        pepper?: string;
+        policy?: Omit<PasswordPolicy, 'forbidden'> | false;
+    }
+
+    export class PasswordHasher {
+        constructor(options?: PasswordHasherOptions);
+        hash(password: string, context?: { forbidden?: string[] }): Promise<string>;
+        verify(password: string, hash: string): Promise<boolean>;
+        needsRehash(hash: string): boolean;
+    }
+
+    export function setEncryptionKeys(keys: Record<string, string | Buffer>, options?: { current?: string }): void;
+    export function encryptField(value: string, options?: { keyId?: string; context?: string }): string;
+    export function decryptField(payload: string, options?: { context?: string }): string;
+    export function isEncrypted(value: any): boolean;
+    export function needsReencrypt(payload: string): boolean;
+
+    export interface SignatureOptions {
+        algorithm?: string; // default 'sha256'
+        encoding?: 'hex' | 'base64' | 'base64url';
+    }
+
+    export function sign(payload: string | Buffer, secret: string, options?: SignatureOptions): string;
+    export function verifySignature(payload: string | Buffer, signature: string, secret: string, options?: SignatureOptions): boolean;
+    export function verifyWebhook(options: { secret: string; header?: string } & SignatureOptions): Middleware;
+    export function signUrl(url: string, secret: string, options?: { expiresIn?: number | string }): string;
+    export function verifySignedUrl(url: string, secret: string): void;
+
+    export interface TokenServiceOptions {
+        ttl?: number | string; // default "1h"
+        bytes?: number; // default 32
+        modelName?: string; // default "OneTimeToken"
+        store?: {
+            setItem(key: string, value: any, ttl?: number, namespace?: string): any;
+            getItem(key: string, namespace?: string): any;
+            deleteItem(key: string, namespace?: string): any;
+        };
+    }
+
+    export class TokenService {
+        constructor(options?: TokenServiceOptions);
+        issue(purpose: string, subject: any, options?: { ttl?: number | string; data?: any }): Promise<string>;
+        consume(purpose: string, token: string): Promise<{ subject: string; data: any }>;
+        verify(purpose: string, token: string): Promise<{ subject: string; data: any }>;
+        revoke(purpose: string, token: string): Promise<boolean>;
+        revokeAll(purpose: string, subject: any): Promise<number>;
+    }
+
+    export interface TotpOptions {
+        time?: number; // ms, default Date.now()
+        step?: number; // seconds, default 30
+        digits?: number; // default 6
+        algorithm?: 'sha1' | 'sha256' | 'sha512';
+    }
+
+    export function generateSecret(bytes?: number): string;
+    export function totp(secret: string, options?: TotpOptions): string;
+    export function verifyTotp(code: string, secret: string, options?: TotpOptions & { window?: number; after?: number }): number | null;
+    export function totpUri(secret: string, options: { issuer?: string; account: string; digits?: number; step?: number; algorithm?: string }): string;
+    export function generateRecoveryCodes(count?: number): { codes: string[]; hashes: string[] };
+    export function useRecoveryCode(code: string, hashes: string[]): string[] | null;
+
+    export interface AuthConfig {
+        secret: string;
+        refreshSecret?: string;
+        accessTTL?: number | string; // seconds or "15m" / "12h" / "7d"
+        refreshTTL?: number | string;
+        cookies?: boolean;
+        cookieOptions?: Record<string, any>;
+        userModel?: any; // object returned by Model()
+        usernameField?: string;
+        passwordField?: string;
+        claims?: (user: any) => Record<string, any>;
+        store?: {
+            setItem(key: string, value: any, ttl?: number, namespace?: string): any;
+            takeItem(key: string, namespace?: string): any; // atomic get-and-delete
+            deleteItem(key: string, namespace?: string): any;
+        };
+        hasher?: PasswordHasher;
+    }
+
+    export class Auth {
+        constructor(config: AuthConfig);
+        issueTokens(user: any): TokenPair;
+        setTokens(res: any, tokens: TokenPair): void;
+        clearTokens(res: any): void;
+        getToken(req: any, type?: 'access' | 'refresh'): string | undefined;
+        login(username: string, password: string, res?: any): Promise<{ user: any } & TokenPair>;
+        refresh(refreshToken: string, res?: any): Promise<TokenPair>;
+        logout(refreshToken?: string, res?: any): Promise<void>;
+        requireAuth(): (req: any, res: any, next: (err?: any) => void) => void;
+        requireRole(...roles: string[]): (req: any, res: any, next: (err?: any) => void) => void;
+    }
+
+    export function requireRole(...roles: string[]): (req: any, res: any, next: (err?: any) => void) => void;
+    export function signToken(payload: Record<string, any>, secret: string, expiresIn: number | string): string;
+    export function verifyToken(token: string, secret: string): Record<string, any>;
+
+    // both must be atomic across every instance sharing the store (e.g. Redis INCR, a Lua script)
+    export interface RateLimitStore {
+        increment?(key: string, ttl: number, namespace?: string): number | Promise<number>; // fixed-window
+        update?(key: string, fn: (current: any) => { value: any; ttl?: number }, namespace?: string): any; // token-bucket
+    }
+
+    export interface RateLimitOptions {
+        windowMs?: number;
+        max?: number;
+        strategy?: 'fixed-window' | 'token-bucket';
+        keyBy?: 'ip' | 'user' | ((req: any) => string);
+        store?: RateLimitStore; // defaults to an in-process Cache
+        prefix?: string;
+        skip?: (req: any) => boolean;
+        message?: string;
+    }
+
+    export function rateLimit(options?: RateLimitOptions): (req: any, res: any, next: (err?: any) => void) => Promise<void>;
+
+    export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal' | 'silent';
+
+    export interface LoggerLike {
+        trace(msg: string, fields?: any): void;
+        debug(msg: string, fields?: any): void;
+        info(msg: string, fields?: any): void;
+        warn(msg: string, fields?: any): void;
+        error(msg: string, fields?: any): void;
+        child?(bindings: Record<string, any>): LoggerLike;
+    }
+
+    export class Logger implements LoggerLike {
+        level: LogLevel;
+        format: 'pretty' | 'json';
+        bindings: Record<string, any>;
+        constructor(options?: {
+            level?: LogLevel; // default LOG_LEVEL or "info"
+            format?: 'pretty' | 'json'; // default json when NODE_ENV=production
+            bindings?: Record<string, any>;
+            stream?: { write(line: string): any };
+        });
+        child(bindings: Record<string, any>): Logger;
+        isLevelEnabled(level: LogLevel): boolean;
+        trace(msg: string, fields?: any): void;
+        debug(msg: string, fields?: any): void;
+        info(msg: string, fields?: any): void;
+        warn(msg: string, fields?: any): void;
+        error(msg: string, fields?: any): void;
+        fatal(msg: string, fields?: any): void;
+    }
+
+    export function setLogger(logger: LoggerLike): void;
+    export function getLogger(component?: string): LoggerLike;
+
+    export interface HealthOptions {
+        healthPath?: string; // default "/healthz"
+        readyPath?: string; // default "/readyz"
+        metricsPath?: string | false; // default "/metrics"
+        checks?: Record<string, () => boolean | Promise<boolean>>;
+        caches?: Record<string, Cache>;
+        database?: boolean | Database; // include the database connection in readiness, default true
+        checkTimeout?: number; // ms, default 2000
+        buckets?: number[]; // latency histogram buckets, seconds
+    }
+
+    export class Metrics {
+        constructor(options?: { buckets?: number[] });
+        middleware(): (req: any, res: any, next: (err?: any) => void) => void;
+        observe(method: string, route: string, status: number, seconds: number): void;
+        trackCache(name: string, cache: Cache): this;
+        stop(): void;
+        render(): string;
+    }
+
+    export class Cache {
+        constructor(options?: Record<string, any>);
+        setItem(key: string, value: any, ttl?: number, namespace?: string, tags?: string[]): void;
+        getItem<T = any>(key: string, namespace?: string): T | undefined;
+        getOrSetItem<T = any>(key: string, computeFn: () => T | Promise<T>, ttl?: number, namespace?: string, tags?: string[]): Promise<T>;
+        increment(key: string, ttl?: number, namespace?: string, by?: number): number;
+        update<R extends { value: any; ttl?: number }>(key: string, fn: (current: any) => R, namespace?: string): R;
+        deleteItem(key: string, namespace?: string): number;
+        takeItem<T = any>(key: string, namespace?: string): T | undefined;
+        clearNamespace(namespace?: string): void;
+        clearTag(tag: string): void;
+        getStats(): { hits: number; misses: number; keys: number; ksize: number; vsize: number };
+    }
+
+    export interface UploadedFile {
+        fieldname: string;
+        originalName: string;
+        encoding: string;
+        mimeType: string;
+        filename?: string;
+        path?: string;
+        size?: number;
+        url?: string;
+        [key: string]: any; // whatever a custom storage returns
+    }
+
+    export interface UploadStorage {
+        save(stream: NodeJS.ReadableStream, file: { fieldname: string; originalName: string; safeName: string; encoding: string; mimeType: string }): Promise<Record<string, any>>;
+        remove(file: UploadedFile): Promise<void>;
+    }
+
+    export interface UploadOptions {
+        fields?: string | string[];
+        maxFileSize?: number; // bytes, default 10 MB
+        maxFiles?: number; // default 10
+        allowedTypes?: string[]; // "image/png", "image/*"
+        allowedExtensions?: string[]; // ".png"
+        storage?: UploadStorage;
+        destination?: string;
+        publicPath?: string;
+        limits?: { fields?: number; fieldSize?: number; parts?: number };
+    }
+
+    export class DiskStorage implements UploadStorage {
+        constructor(options?: { destination?: string; filename?: (file: any) => string });
+        save(stream: NodeJS.ReadableStream, file: any): Promise<{ filename: string; path: string; size: number }>;
+        remove(file: UploadedFile): Promise<void>;
+    }
+
+    export function upload(options?: UploadOptions): (req: any, res: any, next: (err?: any) => void) => void;
+    export function sanitizeFilename(name: string): string;
+
     export class Github {
         private username: string;
         private token: string;
@@ -1,22 +1,95 @@
-import { Database, Model } from "./src/database.js";
+import { Database, buildConnectionUrls, backoffDelay } from "./src/database.js";
+import { Model, getModel, modelNames } from "./src/model.js";
+import { Migrator } from "./src/migrations.js";
+import { seed, fakeDocuments } from "./src/seed.js";
+import { Resource } from "./src/resource.js";
 import { Server } from "./src/server.js";
 import { Github } from "./src/github.js";
-import { Encrypt, Compare } from "./src/hash.js";
+import { Encrypt, Compare, PasswordHasher, checkPasswordStrength } from "./src/hash.js";
+import {
+  setEncryptionKeys,
+  encryptField,
+  decryptField,
+  isEncrypted,
+  needsReencrypt,
+  sign,
+  verifySignature,
+  verifyWebhook,
+  signUrl,
+  verifySignedUrl,
+} from "./src/encryption.js";
+import { TokenService } from "./src/tokens.js";
+import {
+  generateSecret,
+  totp,
+  verifyTotp,
+  totpUri,
+  generateRecoveryCodes,
+  useRecoveryCode,
+} from "./src/totp.js";
 import { Cache } from "./src/cache.js";
 import { Stack } from "./src/stack.js";
 import { Matrix, NumericMode } from "./src/matrix.js";
 import { Vector } from "./src/vector.js";
 import { Graph } from "./src/graph.js";
+import {
+  HttpError,
+  BadRequest,
+  Unauthorized,
+  Forbidden,
+  NotFound,
+  Conflict,
+  UnprocessableEntity,
+  TooManyRequests,
+  InternalServerError,
+  errorHandler,
+  notFoundHandler,
+} from "./src/errors.js";
+import { validate } from "./src/validate.js";
+import { Auth, requireRole, signToken, verifyToken } from "./src/auth.js";
+import { rateLimit } from "./src/rateLimit.js";
+import { Logger, setLogger, getLogger } from "./src/logger.js";
+import { Metrics } from "./src/metrics.js";
+import { upload, DiskStorage, sanitizeFilename } from "./src/upload.js";
+import { requestContext, runWithContext, getContext } from "./src/context.js";
+import { resolveTenant, currentTenant } from "./src/tenant.js";
 import { Router } from "express";
 import AsyncHandler from "express-async-handler";
 
 export {
   Database,
   Model,
+  Resource,
+  Migrator,
+  getModel,
+  modelNames,
+  seed,
+  fakeDocuments,
+  buildConnectionUrls,
+  backoffDelay,
   Server,
   Github,
   Encrypt,
   Compare,
+  PasswordHasher,
+  checkPasswordStrength,
+  setEncryptionKeys,
+  encryptField,
+  decryptField,
+  isEncrypted,
+  needsReencrypt,
+  sign,
+  verifySignature,
+  verifyWebhook,
+  signUrl,
+  verifySignedUrl,
+  TokenService,
+  generateSecret,
+  totp,
+  verifyTotp,
+  totpUri,
+  generateRecoveryCodes,
+  useRecoveryCode,
   Cache,
   Stack,
   Matrix,
@@ -24,5 +97,34 @@ export {
   Vector, 
   Graph,
   Router,
-  AsyncHandler
+  AsyncHandler,
+  HttpError,
+  BadRequest,
+  Unauthorized,
+  Forbidden,
+  NotFound,
+  Conflict,
+  UnprocessableEntity,
+  TooManyRequests,
+  InternalServerError,
+  errorHandler,
+  notFoundHandler,
+  validate,
+  Auth,
+  requireRole,
+  signToken,
+  verifyToken,
+  rateLimit,
+  Logger,
+  setLogger,
+  getLogger,
+  Metrics,
+  upload,
+  DiskStorage,
+  sanitizeFilename,
+  requestContext,
+  runWithContext,
+  getContext,
+  resolveTenant,
+  currentTenant
 };
@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import { getContext } from "./context.js";
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// set by mongoose rather than by the change itself; still kept in before/after
+const IGNORED_FIELDS = ["_id", "createdAt", "updatedAt"];
+
+const historySchema = new mongoose.Schema(
+  {
+    model: { type: String, required: true },
+    documentId: { type: mongoose.Schema.Types.Mixed, required: true },
+    version: { type: Number, required: true },
+    action: { type: String, required: true }, // create | update | delete | restore | revert
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    diff: [{ _id: false, path: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+    actor: { type: mongoose.Schema.Types.Mixed, default: null },
+    requestId: { type: String, default: null },
+    tenantId: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false, minimize: false }
+);
+historySchema.index({ model: 1, documentId: 1, version: 1 }, { unique: true });
+
+function historyModel(collection) {
+  const name = `AuditHistory:${collection}`;
+  return mongoose.models[name] || mongoose.model(name, historySchema, collection);
+}
+
+export function snapshot(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : { ...doc };
+}
+
+/**
+ * Top-level fields that differ between two snapshots
+ * @returns {Array<{ path: string, from: any, to: any }>}
+ */
+export function diff(before, after) {
+  const paths = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const path of paths) {
+    if (IGNORED_FIELDS.includes(path)) continue;
+    const from = before?.[path];
+    const to = after?.[path];
+    if (EJSON.stringify(from ?? null) !== EJSON.stringify(to ?? null)) changes.push({ path, from, to });
+  }
+  return changes;
+}
+
+const defaultActor = (user) => user?.id ?? user?._id ?? null;
+
+// concurrent writes to one document race for the same next version
+const VERSION_ATTEMPTS = 5;
+
+/**
+ * History collection shared by every audited Model(), one numbered entry per change
+ * @param {string} modelName
+ * @param {{ collection?: string, actor?: (user: any) => any, tenantOf?: () => string|undefined }} [options]
+ */
+export function AuditLog(modelName, { collection = "history", actor = defaultActor, tenantOf = () => undefined } = {}) {
+  const History = historyModel(collection);
+
+  /**
+   * @param {string} action
+   * @param {object|null} before - document or snapshot
+   * @param {object|null} after - document or snapshot
+   * @param {{ session?: import("mongoose").ClientSession }} [options]
+   */
+  async function record(action, before, after, { session } = {}) {
+    const from = snapshot(before);
+    const to = snapshot(after);
+    const changes = diff(from, to);
+    if (action === "update" && !changes.length) return null;
+
+    const documentId = (to || from)._id;
+    const { user, requestId } = getContext();
+    const fields = {
+      model: modelName,
+      documentId,
+      action,
+      before: from,
+      after: to,
+      diff: changes,
+      actor: actor(user),
+      requestId,
+      tenantId: tenantOf() ?? null,
+    };
+
+    // the data write already succeeded, so a lost race on the version is retried, never surfaced as a 409
+    for (let attempt = 1; ; attempt++) {
+      const last = await History.findOne({ model: modelName, documentId }, { version: 1 })
+        .sort({ version: -1 })
+        .session(session ?? null)
+        .lean();
+      try {
+        const [entry] = await History.create([{ ...fields, version: (last?.version ?? 0) + 1 }], { session });
+        return entry;
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw err;
+      }
+    }
+  }
+
+  // tenant models only see their tenant's entries
+  const scope = (filters, tenantId) => (tenantId === undefined ? filters : { ...filters, tenantId });
+
+  return {
+    record,
+    history: async (id, tenantId) =>
+      History.find(scope({ model: modelName, documentId: id }, tenantId)).sort({ version: 1 }).lean(),
+    entry: async (id, version, tenantId) =>
+      History.findOne(scope({ model: modelName, documentId: id, version }, tenantId)).lean(),
+    raw: History,
+  };
+}
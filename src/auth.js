@@ -0,0 +1,318 @@
+import crypto from "crypto";
+import { PasswordHasher } from "./hash.js";
+import { Cache } from "./cache.js";
+import { Unauthorized, Forbidden } from "./errors.js";
+import { getLogger } from "./logger.js";
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Convert 900, "900", "15m", "12h" or "7d" to seconds
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function toSeconds(value) {
+  if (typeof value === "number") return value;
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Sign an HS256 JWT
+ * @param {object} payload - claims; iat and exp are added
+ * @param {string} secret
+ * @param {number|string} expiresIn - seconds or "15m" style duration
+ * @returns {string}
+ */
+export function signToken(payload, secret, expiresIn) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify({ iat: now, exp: now + toSeconds(expiresIn), ...payload }));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @param {string} token
+ * @param {string} secret
+ * @returns {object} payload
+ * @throws {Unauthorized} when malformed, tampered with or expired
+ */
+export function verifyToken(token, secret) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) throw new Unauthorized("Invalid token", { code: "INVALID_TOKEN" });
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Unauthorized("Invalid token", { code: "INVALID_TOKEN" });
+  }
+
+  let payload;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString()).alg !== "HS256") throw new Error();
+    payload = JSON.parse(Buffer.from(body, "base64url").toString());
+  } catch {
+    throw new Unauthorized("Invalid token", { code: "INVALID_TOKEN" });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === "number" && payload.exp <= now) {
+    throw new Unauthorized("Token expired", { code: "TOKEN_EXPIRED" });
+  }
+  if (typeof payload.nbf === "number" && payload.nbf > now) {
+    throw new Unauthorized("Token not yet valid", { code: "INVALID_TOKEN" });
+  }
+  return payload;
+}
+
+/**
+ * Allow only users whose role is one of `roles`; use after requireAuth()
+ * @param {...string} roles
+ * @returns {import("express").RequestHandler}
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return next(new Unauthorized("Authentication required"));
+    const userRoles = [].concat(req.user.role ?? req.user.roles ?? []);
+    if (!userRoles.some((role) => roles.includes(role))) {
+      return next(new Forbidden("Insufficient role"));
+    }
+    next();
+  };
+}
+
+export class Auth {
+  /**
+   * @param {object} config
+   * @param {string} config.secret - HMAC secret for access tokens
+   * @param {string} [config.refreshSecret] - HMAC secret for refresh tokens, defaults to secret
+   * @param {number|string} [config.accessTTL] - e.g. "15m"
+   * @param {number|string} [config.refreshTTL] - e.g. "7d"
+   * @param {boolean} [config.cookies] - also set tokens as httpOnly cookies
+   * @param {object} [config.cookieOptions] - merged into the res.cookie() options
+   * @param {object} [config.userModel] - object returned by Model(), used by login()
+   * @param {string} [config.usernameField]
+   * @param {string} [config.passwordField]
+   * @param {(user: any) => object} [config.claims] - extra claims for a user
+   * @param {object} [config.store] - refresh token store with setItem/takeItem/deleteItem, defaults to Cache
+   * @param {PasswordHasher} [config.hasher] - verifies passwords in login() and upgrades outdated hashes
+   */
+  constructor({
+    secret,
+    refreshSecret,
+    accessTTL = "15m",
+    refreshTTL = "7d",
+    cookies = true,
+    cookieOptions = {},
+    userModel,
+    usernameField = "email",
+    passwordField = "password",
+    claims = (user) => ({ role: user.role }),
+    store = new Cache({ stdTTL: 0 }),
+    hasher = new PasswordHasher(),
+  } = {}) {
+    if (!secret) throw new Error("Auth requires a secret");
+    this.secret = secret;
+    this.refreshSecret = refreshSecret || secret;
+    this.accessTTL = toSeconds(accessTTL);
+    this.refreshTTL = toSeconds(refreshTTL);
+    this.cookies = cookies;
+    this.cookieOptions = {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "lax",
+      path: "/",
+      ...cookieOptions,
+    };
+    this.userModel = userModel;
+    this.usernameField = usernameField;
+    this.passwordField = passwordField;
+    this.claims = claims;
+    this.store = store;
+    this.hasher = hasher;
+    // ready before the first login for an unknown user
+    if (userModel) this._dummyHash();
+  }
+
+  get log() {
+    return getLogger("Auth");
+  }
+
+  /**
+   * Issue an access/refresh pair; the refresh token id is remembered so it
+   * can be used exactly once
+   * @param {any} user - document or plain object with _id or id
+   * @returns {{ accessToken: string, refreshToken: string }}
+   */
+  issueTokens(user) {
+    return this._issue(String(user._id ?? user.id), this.claims(user) || {});
+  }
+
+  _issue(sub, claims) {
+    const jti = crypto.randomUUID();
+
+    const accessToken = signToken({ ...claims, sub, type: "access" }, this.secret, this.accessTTL);
+    const refreshToken = signToken({ ...claims, sub, jti, type: "refresh" }, this.refreshSecret, this.refreshTTL);
+    this.store.setItem(jti, sub, this.refreshTTL, "auth:refresh");
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Set both tokens as httpOnly cookies (when cookies are enabled)
+   */
+  setTokens(res, { accessToken, refreshToken }) {
+    if (!this.cookies || !res) return;
+    res.cookie("accessToken", accessToken, { ...this.cookieOptions, maxAge: this.accessTTL * 1000 });
+    res.cookie("refreshToken", refreshToken, { ...this.cookieOptions, maxAge: this.refreshTTL * 1000 });
+  }
+
+  clearTokens(res) {
+    if (!this.cookies || !res) return;
+    res.clearCookie("accessToken", this.cookieOptions);
+    res.clearCookie("refreshToken", this.cookieOptions);
+  }
+
+  /**
+   * Read a token from the Authorization bearer header, the cookie, or
+   * (for refresh tokens) req.body.refreshToken
+   * @param {import("express").Request} req
+   * @param {"access"|"refresh"} [type]
+   * @returns {string|undefined}
+   */
+  getToken(req, type = "access") {
+    if (type === "access") {
+      const header = req.headers.authorization;
+      if (header?.startsWith("Bearer ")) return header.slice(7).trim();
+      return req.cookies?.accessToken;
+    }
+    return req.cookies?.refreshToken || req.body?.refreshToken;
+  }
+
+  /**
+   * Check credentials against userModel using the hasher and issue tokens; a
+   * stored hash made with older hasher settings is replaced after a successful login
+   * @param {string} username
+   * @param {string} password
+   * @param {import("express").Response} [res] - when given, tokens are set as cookies
+   * @returns {Promise<{ user: object, accessToken: string, refreshToken: string }>}
+   */
+  async login(username, password, res) {
+    if (!this.userModel) throw new Error("Auth requires a userModel for login()");
+    const filter = { [this.usernameField]: username };
+    // through the wrapper, so soft-deleted users are not found; the password
+    // field is often declared with `select: false`
+    const user = await this.userModel.findOne(filter, { select: `+${this.passwordField}` });
+
+    const stored = user?.[this.passwordField];
+    if (!stored) {
+      // spend the same hashing time as for a real user, so response times do not reveal which accounts exist
+      await this.hasher.verify(password, await this._dummyHash());
+      throw new Unauthorized("Invalid credentials", { code: "INVALID_CREDENTIALS" });
+    }
+    if (!(await this.hasher.verify(password, stored))) {
+      throw new Unauthorized("Invalid credentials", { code: "INVALID_CREDENTIALS" });
+    }
+    if (typeof user.save === "function" && this.hasher.needsRehash(stored)) await this._rehash(user, password);
+
+    const tokens = this.issueTokens(user);
+    this.setTokens(res, tokens);
+
+    const plain = typeof user.toObject === "function" ? user.toObject() : { ...user };
+    delete plain[this.passwordField];
+    return { user: plain, ...tokens };
+  }
+
+  // made once with the hasher's own settings; mixed classes so a password policy accepts it
+  _dummyHash() {
+    this._dummy ||= this.hasher.hash(`Aa1!${crypto.randomBytes(10).toString("hex")}`).catch((err) => {
+      this.log.warn("Could not create the dummy password hash", { error: err.message });
+      return null;
+    });
+    return this._dummy;
+  }
+
+  // the password is only known here, so this is the one chance to upgrade its hash
+  async _rehash(user, password) {
+    try {
+      const hash = await this.hasher.hash(password);
+      // the document's own model is the tenant's one in "database" tenancy
+      await user.constructor.updateOne({ _id: user._id }, { $set: { [this.passwordField]: hash } });
+    } catch (err) {
+      this.log.warn("Could not upgrade password hash", { userId: String(user._id), error: err.message });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new pair; the old refresh token is revoked
+   * @param {string} refreshToken
+   * @param {import("express").Response} [res]
+   * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+   */
+  async refresh(refreshToken, res) {
+    const payload = verifyToken(refreshToken, this.refreshSecret);
+    if (payload.type !== "refresh" || !payload.jti) {
+      throw new Unauthorized("Invalid token", { code: "INVALID_TOKEN" });
+    }
+    // check and revoke in one step, so concurrent refreshes with the same token cannot both succeed
+    if ((await this.store.takeItem(payload.jti, "auth:refresh")) === undefined) {
+      throw new Unauthorized("Refresh token revoked", { code: "TOKEN_REVOKED" });
+    }
+
+    // carry the claims over rather than reloading the user
+    const { iat, exp, jti, type, sub, ...claims } = payload;
+    const tokens = this._issue(sub, claims);
+    this.setTokens(res, tokens);
+    return tokens;
+  }
+
+  /**
+   * Revoke a refresh token and clear the cookies
+   * @param {string} [refreshToken]
+   * @param {import("express").Response} [res]
+   */
+  async logout(refreshToken, res) {
+    if (refreshToken) {
+      try {
+        const { jti } = verifyToken(refreshToken, this.refreshSecret);
+        if (jti) await this.store.deleteItem(jti, "auth:refresh");
+      } catch {
+        // an invalid token has nothing to revoke
+      }
+    }
+    this.clearTokens(res);
+  }
+
+  /**
+   * Middleware that verifies the access token and sets req.user
+   * @returns {import("express").RequestHandler}
+   */
+  requireAuth() {
+    return (req, res, next) => {
+      const token = this.getToken(req, "access");
+      if (!token) return next(new Unauthorized("Authentication required"));
+      try {
+        const payload = verifyToken(token, this.secret);
+        if (payload.type !== "access") throw new Unauthorized("Invalid token", { code: "INVALID_TOKEN" });
+        req.user = { ...payload, id: payload.sub };
+        next();
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  requireRole(...roles) {
+    return requireRole(...roles);
+  }
+}
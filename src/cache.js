@@ -1,4 +1,5 @@
 import NodeCache from "node-cache";
+import { getLogger } from "./logger.js";
 
 export class Cache extends NodeCache {
   constructor(options = {}) {
@@ -11,12 +12,16 @@ export class Cache extends NodeCache {
     this.namespaces = new Set();
     this.tagMap = new Map(); // tag -> Set of keys
 
-    this.on("expired", (key, value) => {
-      console.log(`[Cache] Key expired: ${key} ->`, value);
+    this.on("expired", (key) => {
+      this.log.debug(`Key expired: ${key}`);
       this._removeKeyFromTags(key);
     });
   }
 
+  get log() {
+    return getLogger("Cache");
+  }
+
   _getKey(key, namespace) {
     return namespace ? `${namespace}:${key}` : key;
   }
@@ -71,11 +76,61 @@ export class Cache extends NodeCache {
     return this.del(fullKey);
   }
 
+  /**
+   * Add `by` to a numeric key and return the new value. Atomic within this process;
+   * the ttl is set when the key is created and kept by later increments.
+   * @returns {number}
+   */
+  increment(key, ttl, namespace, by = 1) {
+    const fullKey = this._getKey(key, namespace);
+    if (namespace) this.namespaces.add(namespace);
+    const current = this.get(fullKey);
+    if (current === undefined) {
+      this.set(fullKey, String(by), ttl);
+      return by;
+    }
+    const expiresAt = this.getTtl(fullKey);
+    const value = Number(current) + by;
+    this.set(fullKey, String(value), expiresAt ? Math.max(1, (expiresAt - Date.now()) / 1000) : 0);
+    return value;
+  }
+
+  /**
+   * Replace a value with `fn(current)` in one synchronous step, so concurrent
+   * callers in this process never overwrite each other
+   * @param {string} key
+   * @param {(current: any) => { value: any, ttl?: number }} fn
+   * @param {string} [namespace]
+   * @returns {{ value: any, ttl?: number }} what fn returned
+   */
+  update(key, fn, namespace) {
+    const result = fn(this.getItem(key, namespace));
+    this.setItem(key, result.value, result.ttl, namespace);
+    return result;
+  }
+
+  /**
+   * Delete a key and return its value in one step, so only one caller gets it
+   * @returns {any} the value, undefined when there was none
+   */
+  takeItem(key, namespace) {
+    const fullKey = this._getKey(key, namespace);
+    this._removeKeyFromTags(fullKey);
+    const value = this.take(fullKey);
+    if (value === undefined) return undefined;
+
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
   clearNamespace(namespace) {
     if (!namespace) {
       this.flushAll();
       this.tagMap.clear();
-      console.log("[Cache] All keys cleared");
+      this.log.debug("All keys cleared");
       return;
     }
 
@@ -84,7 +139,7 @@ export class Cache extends NodeCache {
         this.deleteItem(key);
       }
     }
-    console.log(`[Cache] Namespace "${namespace}" cleared`);
+    this.log.debug(`Namespace "${namespace}" cleared`);
   }
 
   /**
@@ -98,6 +153,6 @@ export class Cache extends NodeCache {
       this.del(key);
     }
     this.tagMap.delete(tag);
-    console.log(`[Cache] All keys with tag "${tag}" cleared`);
+    this.log.debug(`All keys with tag "${tag}" cleared`);
   }
 }
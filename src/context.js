@@ -0,0 +1,38 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Keep the current request reachable from anything it awaits (models, services)
+ * without passing req around. Server installs it for every request.
+ * @returns {import("express").RequestHandler}
+ */
+export function requestContext() {
+  return (req, res, next) => storage.run({ req }, next);
+}
+
+/**
+ * Run `fn` with an explicit context, e.g. { user, requestId, tenantId } in jobs and scripts
+ * @param {{ user?: any, requestId?: string, tenantId?: string, req?: object }} context
+ * @param {() => any} fn
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * @returns {{ user: any, requestId: string|null, tenantId: string|null, req: object|null }}
+ * req.user and req.tenantId are read lazily, so auth middleware running after the context still counts
+ */
+export function getContext() {
+  const store = storage.getStore() || {};
+  return {
+    user: store.user ?? store.req?.user ?? null,
+    requestId: store.requestId ?? store.req?.id ?? null,
+    // a getter: resolving it may throw for a malformed tenant id
+    get tenantId() {
+      return store.tenantId ?? store.req?.tenantId ?? null;
+    },
+    req: store.req ?? null,
+  };
+}
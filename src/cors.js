@@ -0,0 +1,99 @@
+import cors from "cors";
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * "https://app.example.com", "*.example.com", /\.example\.com$/ or a predicate
+ * -> (origin, req) => boolean
+ */
+function originMatcher(rule) {
+  if (typeof rule === "function") return rule;
+  if (rule instanceof RegExp) return (origin) => rule.test(origin);
+  if (rule === "*") return () => true;
+
+  const value = String(rule).replace(/\/+$/, "");
+  if (value.includes("*")) {
+    // "*.example.com" matches any subdomain depth, with or without a scheme prefix
+    const hasScheme = /^[a-z]+:\/\//i.test(value);
+    const pattern = escapeRegExp(value).replace(/\\\*\\\./g, "(?:[a-z0-9-]+\\.)+");
+    const regex = new RegExp(`^${hasScheme ? "" : "https?://"}${pattern}(?::\\d+)?$`, "i");
+    return (origin) => regex.test(origin);
+  }
+  return (origin) => origin.toLowerCase() === value.toLowerCase();
+}
+
+/**
+ * Catch configurations browsers silently reject
+ * @returns {string[]} warnings
+ */
+function checkPolicy(origins, credentials) {
+  const warnings = [];
+  for (const rule of origins) {
+    if (typeof rule !== "string" || rule === "*" || rule.includes("*")) continue;
+    try {
+      const url = new URL(rule);
+      if (url.pathname !== "/" || url.search) {
+        warnings.push(`origin "${rule}" has a path; browsers send only scheme://host[:port]`);
+      }
+    } catch {
+      warnings.push(`origin "${rule}" is not a valid URL (expected e.g. "https://app.example.com")`);
+    }
+  }
+  if (credentials && origins.includes("*")) {
+    warnings.push('origin "*" cannot be used with credentials; credentials were disabled for it');
+  }
+  return warnings;
+}
+
+/**
+ * Build a cors() middleware for one policy
+ * @param {string|RegExp|Function|Array<string|RegExp|Function>} origin
+ * @param {object} [options]
+ * @returns {{ middleware: import("express").RequestHandler, warnings: string[] }}
+ */
+export function corsPolicy(origin, {
+  credentials = true,
+  methods = ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"],
+  allowedHeaders,
+  exposedHeaders,
+  maxAge,
+} = {}) {
+  const origins = [].concat(origin);
+  const warnings = checkPolicy(origins, credentials);
+  const matchers = origins.map(originMatcher);
+  const wildcard = origins.includes("*");
+
+  const middleware = cors((req, callback) => {
+    const requestOrigin = req.headers.origin;
+    const allowed = Boolean(requestOrigin) && matchers.some((match) => match(requestOrigin, req));
+    callback(null, {
+      origin: wildcard ? "*" : allowed ? requestOrigin : false,
+      credentials: credentials && !wildcard,
+      methods,
+      allowedHeaders,
+      exposedHeaders,
+      maxAge,
+    });
+  });
+
+  return { middleware, warnings };
+}
+
+/**
+ * One middleware choosing a policy by path prefix, so per-route overrides
+ * never stack headers with the default policy
+ * @param {Array<[string, import("express").RequestHandler]>} routePolicies - longest prefix first
+ * @param {import("express").RequestHandler} fallback
+ */
+export function routeCors(routePolicies, fallback) {
+  return (req, res, next) => {
+    for (const [route, middleware] of routePolicies) {
+      if (req.path === route || req.path.startsWith(route.endsWith("/") ? route : `${route}/`)) {
+        return middleware(req, res, next);
+      }
+    }
+    return fallback(req, res, next);
+  };
+}
@@ -1,70 +1,318 @@
+import { EventEmitter } from "events";
 import mongoose from "mongoose";
+import { getLogger } from "./logger.js";
+import { Migrator } from "./migrations.js";
+import { seed } from "./seed.js";
 
+function credentials(username, password) {
+  if (!username) return "";
+  // "@", "/", ":" and "%" in credentials would otherwise break the URL
+  return `${encodeURIComponent(username)}:${encodeURIComponent(password ?? "")}@`;
+}
+
+function queryString(params) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) search.set(key, String(value));
+  }
+  const str = search.toString();
+  return str ? `?${str}` : "";
+}
 
-export class Database {
+/**
+ * Connection URLs to try, in order, for a Database config:
+ *  - { uri }: used as is
+ *  - { hosts, username?, password?, dbName, replicaSet?, authSource?, tls? }: local mongod, docker, self-hosted
+ *  - { subdomain, cluster, username, password, dbName }: MongoDB Atlas +srv URL, then the shard host list
+ * @param {object} config
+ * @returns {Array<{ label: string, url: string }>}
+ */
+export function buildConnectionUrls(config) {
+  const {
+    uri,
+    hosts,
+    subdomain,
+    cluster,
+    username,
+    password,
+    dbName = "",
+    replicaSet,
+    authSource,
+    tls,
+  } = config;
+
+  if (uri) return [{ label: "uri", url: uri }];
+
+  const auth = credentials(username, password);
+
+  if (hosts) {
+    const hostList = [].concat(hosts).join(",");
+    const query = queryString({ replicaSet, authSource: authSource ?? (username ? "admin" : undefined), tls });
+    return [{ label: "hosts", url: `mongodb://${auth}${hostList}/${dbName}${query}` }];
+  }
+
+  if (!subdomain || !cluster) {
+    throw new Error("Database config needs a uri, a hosts list, or Atlas subdomain and cluster");
+  }
+  const name = cluster.toLowerCase();
+  const srvURL = `mongodb+srv://${auth}${name}.${subdomain}.mongodb.net/${dbName}${queryString({
+    retryWrites: true,
+    w: "majority",
+    appName: name,
+  })}`;
+  // Fallback standard mongodb:// URL for networks that cannot resolve SRV records
+  const shards = [0, 1, 2].map((i) => `${name}-shard-00-0${i}.${subdomain}.mongodb.net:27017`).join(",");
+  const fallbackURL = `mongodb://${auth}${shards}/${dbName}${queryString({
+    ssl: true,
+    replicaSet,
+    authSource: authSource ?? "admin",
+    retryWrites: true,
+    w: "majority",
+  })}`;
+  return [
+    { label: "+srv URL", url: srvURL },
+    { label: "fallback URL", url: fallbackURL },
+  ];
+}
+
+// mongoose.connection.readyState
+const STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+const DEFAULT_RETRY = { retries: 5, minDelay: 500, maxDelay: 30000, factor: 2, jitter: true };
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half random
+ * @param {number} attempt - 0-based
+ * @param {typeof DEFAULT_RETRY} retry
+ * @returns {number} ms
+ */
+export function backoffDelay(attempt, { minDelay, maxDelay, factor, jitter }) {
+  const delay = Math.min(maxDelay, minDelay * factor ** attempt);
+  return jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Emits "connected", "disconnected", "reconnected" and "error"
+ * (only when an "error" listener is attached, so it never crashes the process)
+ */
+export class Database extends EventEmitter {
+  /**
+   * @param {object} config - see buildConnectionUrls(); `options` is passed to mongoose.connect()
+   * (maxPoolSize, serverSelectionTimeoutMS, tls, authSource, ...), `retry` configures
+   * { retries, minDelay, maxDelay, factor, jitter } for the initial connection
+   */
   constructor(config) {
+    super();
     this.config = config;
+    this.retry = { ...DEFAULT_RETRY, ...config?.retry };
+    this.attempts = 0;
+    this.lastError = null;
+    this.connectedAt = null;
+    this.watching = false;
+    this.connecting = false;
+  }
+
+  get log() {
+    return getLogger("Database");
+  }
+
+  _watchConnection() {
+    if (this.watching) return;
+    this.watching = true;
+    const connection = mongoose.connection;
+
+    connection.on("connected", () => {
+      this.connectedAt = new Date();
+      this.emit("connected");
+    });
+    connection.on("disconnected", () => {
+      // a failed connect() attempt also ends in "disconnected"
+      if (this.connecting) return;
+      this.log.warn("Disconnected from MongoDB");
+      this.emit("disconnected");
+    });
+    connection.on("reconnected", () => {
+      this.connectedAt = new Date();
+      this.log.info("Reconnected to MongoDB");
+      this.emit("reconnected");
+    });
+    connection.on("error", (err) => {
+      // failed attempts are reported once each by connect()
+      if (this.connecting) return;
+      this.lastError = err;
+      this._emitError(err);
+    });
   }
+
+  _emitError(err) {
+    if (this.listenerCount("error")) this.emit("error", err);
+    else this.log.error("Connection error", { message: err.message });
+  }
+
+  async _tryUrls(urls) {
+    for (const { label, url } of urls) {
+      try {
+        this.log.info(`Trying ${label} connection...`);
+        await mongoose.connect(url, this.config.options);
+        this.log.info(`Connected to MongoDB via ${label}`);
+        return true;
+      } catch (err) {
+        this.lastError = err;
+        this.log.warn(`${label} connection failed`, { message: err.message });
+      }
+    }
+    return false;
+  }
+
   async connect() {
     if (!this.config) {
-      console.log("Please provide the database configuration");
+      this.log.error("Please provide the database configuration");
       return false;
     }
-    const { subdomain, username, password, cluster, dbName } = this.config;
-    // Primary +srv URL
-    const srvURL = `mongodb+srv://${username}:${password}@${cluster.toLowerCase()}.${subdomain}.mongodb.net/${dbName}?retryWrites=true&w=majority&appName=${cluster.toLowerCase()}`;
-    // Fallback standard mongodb:// URL (you need to adjust hostnames from Atlas)
-    const fallbackURL = `mongodb://${username}:${password}@${cluster.toLowerCase()}-shard-00-00.${subdomain}.mongodb.net:27017,${cluster.toLowerCase()}-shard-00-01.${subdomain}.mongodb.net:27017,${cluster.toLowerCase()}-shard-00-02.${subdomain}.mongodb.net:27017/${dbName}?ssl=true&replicaSet=atlas-0&authSource=admin&retryWrites=true&w=majority`;
+
+    let urls;
     try {
-      console.log("Trying primary +srv connection...");
-      await mongoose.connect(srvURL);
-      console.log("Connected to MongoDB Atlas via +srv URL");
-      return true;
+      urls = buildConnectionUrls(this.config);
     } catch (err) {
-      console.warn("+srv connection failed:", err.message);
-      console.log("Trying fallback standard connection...");
+      this.log.error(err.message);
+      return false;
+    }
 
-      try {
-        await mongoose.connect(fallbackURL);
-        console.log("Connected to MongoDB Atlas via fallback URL");
-        return true;
-      } catch (fallbackErr) {
-        console.error("Fallback connection failed:", fallbackErr.message);
-        return false;
+    this._watchConnection();
+    this.connecting = true;
+    try {
+      for (let attempt = 0; attempt <= this.retry.retries; attempt++) {
+        this.attempts += 1;
+        if (await this._tryUrls(urls)) return true;
+        this._emitError(this.lastError);
+
+        if (attempt < this.retry.retries) {
+          const delay = Math.round(backoffDelay(attempt, this.retry));
+          this.log.info(`Retrying in ${delay}ms (${attempt + 1}/${this.retry.retries})`);
+          await sleep(delay);
+        }
       }
+      this.log.error("All connection attempts failed");
+      return false;
+    } finally {
+      this.connecting = false;
     }
   }
-}
 
+  async disconnect() {
+    if (mongoose.connection.readyState !== 0) await mongoose.disconnect();
+  }
+
+  /**
+   * Load fixtures into Model() collections; see seed()
+   * @param {string|object} source - fixtures directory or { ModelName: fixtures }
+   * @param {{ reset?: boolean|string[] }} [options]
+   */
+  async seed(source, options) {
+    return seed(source, options);
+  }
+
+  /**
+   * Run `fn(session)` in a transaction; pass `{ session }` to every Model() call inside it.
+   * Retried as a whole on TransientTransactionError, the commit alone on
+   * UnknownTransactionCommitResult. Needs a replica set or sharded cluster.
+   * @param {(session: import("mongoose").ClientSession) => Promise<any>} fn
+   * @param {object} [options] - `retries` plus transaction options (readConcern, writeConcern, ...)
+   * @returns {Promise<any>} what `fn` resolved to
+   */
+  async transaction(fn, { retries = 3, ...transactionOptions } = {}) {
+    const session = await mongoose.startSession();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        session.startTransaction(transactionOptions);
+        try {
+          const result = await fn(session);
+          await this._commit(session, retries);
+          return result;
+        } catch (err) {
+          if (session.inTransaction()) await session.abortTransaction().catch(() => {});
+          if (err.hasErrorLabel?.("TransientTransactionError") && attempt < retries) {
+            this.log.warn(`Transaction conflict, retrying (${attempt + 1}/${retries})`, { message: err.message });
+            continue;
+          }
+          throw err;
+        }
+      }
+    } finally {
+      await session.endSession();
+    }
+  }
 
+  async _commit(session, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await session.commitTransaction();
+      } catch (err) {
+        if (err.hasErrorLabel?.("UnknownTransactionCommitResult") && attempt < retries) continue;
+        throw err;
+      }
+    }
+  }
 
+  /**
+   * Migrator for `config.migrations` ({ dir, collection, lockTimeout }) merged with `options`
+   * @returns {Migrator}
+   */
+  migrator(options = {}) {
+    return new Migrator({ ...this.config?.migrations, ...options });
+  }
 
-export function Model(modelName, schemaDefinition, options = {}) {
-  const { middleware, ...restOptions } = options;
+  /**
+   * Apply pending migrations; see Migrator
+   * @returns {Promise<string[]>} names applied
+   */
+  async migrate(options) {
+    return this.migrator(options).migrate();
+  }
 
-  const schema = new mongoose.Schema(schemaDefinition, {
-    timestamps: true,
-    versionKey: false,
-    ...restOptions,
-  });
+  /**
+   * Revert the last `steps` applied migrations
+   * @returns {Promise<string[]>} names reverted
+   */
+  async rollback(steps = 1, options) {
+    return this.migrator(options).rollback(steps);
+  }
 
-  // Allow user to add pre/post middleware
-  if (typeof middleware === "function") {
-    middleware(schema);
+  /**
+   * Migration commands with `config.migrations` as defaults. Migration status lives
+   * here as migrations.status() because status() is the connection status.
+   * @returns {{ migrate: Function, rollback: Function, status: Function, create: Function }}
+   */
+  get migrations() {
+    return {
+      migrate: (options) => this.migrate(options),
+      rollback: (steps = 1, options) => this.rollback(steps, options),
+      status: (options) => this.migrator(options).status(),
+      create: (name, options) => this.migrator(options).create(name),
+    };
   }
 
-  const model =
-    mongoose.models[modelName] || mongoose.model(modelName, schema);
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
 
-  // Return the object directly, no need to call a function
-  return {
-    create: async (data) => model.create(data),
-    findAll: async (filters = {}) => model.find(filters),
-    findOne: async (filters = {}) => model.findOne(filters),
-    findById: async (id) => model.findById(id),
-    updateById: async (id, data) => model.findByIdAndUpdate(id, data, { new: true }),
-    deleteById: async (id) => model.findByIdAndDelete(id),
-    raw: model, // expose raw mongoose model
-  };
+  /**
+   * @returns {{ state: string, host?: string, name?: string, connectedAt: Date|null, attempts: number, lastError: string|null }}
+   */
+  status() {
+    const connection = mongoose.connection;
+    return {
+      state: STATES[connection.readyState] || "unknown",
+      host: connection.host,
+      name: connection.name,
+      connectedAt: this.connectedAt,
+      attempts: this.attempts,
+      lastError: this.lastError?.message ?? null,
+    };
+  }
 }
 
+// Model() lives in model.js; re-exported for existing imports
+export { Model } from "./model.js";
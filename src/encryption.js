@@ -0,0 +1,263 @@
+import crypto from "crypto";
+import { Unauthorized } from "./errors.js";
+import { toSeconds } from "./auth.js";
+
+const PREFIX = "enc:v1:";
+const KEY_ID = /^[A-Za-z0-9_.-]{1,32}$/;
+const IV_BYTES = 12;
+
+const keyring = { keys: new Map(), current: null };
+
+// 32 raw bytes, 64 hex characters or base64 of 32 bytes
+function toKey(id, key) {
+  let bytes;
+  if (Buffer.isBuffer(key)) bytes = key;
+  else if (/^[0-9a-f]{64}$/i.test(key)) bytes = Buffer.from(key, "hex");
+  else bytes = Buffer.from(String(key), "base64");
+  if (bytes.length !== 32) throw new Error(`Encryption key "${id}" must be 32 bytes`);
+  return bytes;
+}
+
+/**
+ * Register the AES-256 keys used by encryptField()/decryptField() and `encrypted` Model() fields.
+ * Keep every key that may still be in stored data; new values use `current`.
+ * @param {Record<string, string|Buffer>} keys - key id -> key (32 bytes, hex or base64)
+ * @param {{ current?: string }} [options] - defaults to the last key listed
+ */
+export function setEncryptionKeys(keys, { current } = {}) {
+  const entries = Object.entries(keys || {});
+  if (!entries.length) throw new Error("At least one encryption key is required");
+  for (const [id] of entries) {
+    if (!KEY_ID.test(id)) throw new Error(`Invalid encryption key id "${id}"`);
+  }
+  const currentId = current ?? entries[entries.length - 1][0];
+  if (!keys[currentId]) throw new Error(`Unknown current encryption key "${currentId}"`);
+  keyring.keys = new Map(entries.map(([id, key]) => [id, toKey(id, key)]));
+  keyring.current = currentId;
+}
+
+function keyFor(id) {
+  const key = keyring.keys.get(id);
+  if (!key) {
+    throw new Error(keyring.keys.size ? `Unknown encryption key "${id}"` : "No encryption keys set, call setEncryptionKeys()");
+  }
+  return key;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} whether `value` is an encryptField() payload
+ */
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a string with AES-256-GCM.
+ * Result: "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64url parts)
+ * @param {string} value
+ * @param {{ keyId?: string, context?: string }} [options] - `context` is authenticated, not stored,
+ * and must be passed to decryptField() again (e.g. the field name, so values cannot be swapped)
+ * @returns {string}
+ */
+export function encryptField(value, { keyId = keyring.current, context } = {}) {
+  if (typeof value !== "string") throw new TypeError("encryptField() takes a string");
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keyFor(keyId), iv);
+  if (context) cipher.setAAD(Buffer.from(context));
+  const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  const parts = [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url"));
+  return `${PREFIX}${keyId}:${parts.join(":")}`;
+}
+
+/**
+ * Decrypt an encryptField() payload; anything else (e.g. data written before
+ * encryption was enabled) is returned unchanged
+ * @param {string} payload
+ * @param {{ context?: string }} [options]
+ * @returns {string}
+ * @throws {Error} when the payload was tampered with or its key is unknown
+ */
+export function decryptField(payload, { context } = {}) {
+  if (!isEncrypted(payload)) return payload;
+  const [keyId, iv, tag, data] = payload.slice(PREFIX.length).split(":");
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", keyFor(keyId), Buffer.from(iv, "base64url"));
+    if (context) decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+  } catch (err) {
+    if (err.message.includes("encryption key")) throw err;
+    throw new Error("Could not decrypt value", { cause: err });
+  }
+}
+
+/**
+ * True when `payload` is not encrypted with the current key (yet)
+ * @param {string} payload
+ * @returns {boolean}
+ */
+export function needsReencrypt(payload) {
+  return !isEncrypted(payload) || payload.slice(PREFIX.length).split(":")[0] !== keyring.current;
+}
+
+function getPath(doc, dotted) {
+  return dotted.split(".").reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+function setPath(doc, dotted, value) {
+  const keys = dotted.split(".");
+  const last = keys.pop();
+  const parent = keys.length ? getPath(doc, keys.join(".")) : doc;
+  if (parent && typeof parent === "object") parent[last] = value;
+}
+
+/**
+ * Decrypt the `encrypted` paths of a plain object (lean results) in place
+ * @param {string[]} paths
+ * @param {object} doc
+ * @returns {object} doc
+ */
+export function decryptPaths(paths, doc) {
+  if (!doc || typeof doc !== "object") return doc;
+  for (const pathName of paths) {
+    const value = getPath(doc, pathName);
+    if (isEncrypted(value)) setPath(doc, pathName, decryptField(value, { context: pathName }));
+  }
+  return doc;
+}
+
+/**
+ * Encrypt the `encrypted` paths of a plain object in place; values that are
+ * already encrypted are left alone
+ * @param {string[]} paths
+ * @param {object} doc
+ * @returns {object} doc
+ */
+export function encryptPaths(paths, doc) {
+  if (!doc || typeof doc !== "object") return doc;
+  for (const pathName of paths) {
+    const value = getPath(doc, pathName);
+    if (typeof value === "string" && value && !isEncrypted(value)) {
+      setPath(doc, pathName, encryptField(value, { context: pathName }));
+    }
+  }
+  return doc;
+}
+
+/**
+ * Make String paths declared with `encrypted: true` encrypt on write (setter) and
+ * decrypt on read (getter, toJSON and lean queries). Encrypted values are salted,
+ * so these paths cannot be queried or indexed.
+ * @param {import("mongoose").Schema} schema
+ * @returns {string[]} the encrypted paths
+ */
+export function encryptSchemaFields(schema) {
+  const paths = [];
+  schema.eachPath((pathName, schemaType) => {
+    if (!schemaType.options?.encrypted) return;
+    if (schemaType.instance !== "String") throw new Error(`Encrypted field "${pathName}" must be a String`);
+    // setters run last-to-first and getters first-to-last: encrypt after trim/lowercase, decrypt before anything else
+    schemaType.setters.unshift((value) =>
+      typeof value === "string" && value && !isEncrypted(value) ? encryptField(value, { context: pathName }) : value
+    );
+    schemaType.getters.unshift((value) => decryptField(value, { context: pathName }));
+    paths.push(pathName);
+  });
+  if (!paths.length) return paths;
+
+  schema.set("toJSON", { getters: true, virtuals: false, ...schema.get("toJSON") });
+  schema.post(["find", "findOne", "findOneAndUpdate", "findOneAndDelete", "findOneAndReplace"], function (result) {
+    if (!this._mongooseOptions.lean) return;
+    for (const doc of [].concat(result ?? [])) decryptPaths(paths, doc);
+  });
+  return paths;
+}
+
+function hmac(payload, secret, algorithm) {
+  return crypto.createHmac(algorithm, secret).update(payload).digest();
+}
+
+/**
+ * HMAC signature of a payload, e.g. an outgoing webhook body
+ * @param {string|Buffer} payload
+ * @param {string} secret
+ * @param {{ algorithm?: string, encoding?: "hex"|"base64"|"base64url" }} [options]
+ * @returns {string}
+ */
+export function sign(payload, secret, { algorithm = "sha256", encoding = "hex" } = {}) {
+  return hmac(payload, secret, algorithm).toString(encoding);
+}
+
+/**
+ * Constant-time check of sign(payload, secret); a "sha256=" style prefix on
+ * `signature` (as in GitHub webhook headers) is ignored
+ * @param {string|Buffer} payload
+ * @param {string} signature
+ * @param {string} secret
+ * @param {{ algorithm?: string, encoding?: "hex"|"base64"|"base64url" }} [options]
+ * @returns {boolean}
+ */
+export function verifySignature(payload, signature, secret, { algorithm = "sha256", encoding = "hex" } = {}) {
+  if (typeof signature !== "string" || payload == null) return false;
+  const value = signature.startsWith(`${algorithm}=`) ? signature.slice(algorithm.length + 1) : signature;
+  const expected = hmac(payload, secret, algorithm);
+  const actual = Buffer.from(value, encoding);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Middleware rejecting requests whose body does not match the signature header.
+ * Uses the raw body the Server keeps as req.rawBody.
+ * @param {{ secret: string, header?: string, algorithm?: string, encoding?: "hex"|"base64"|"base64url" }} options
+ * @returns {import("express").RequestHandler}
+ */
+export function verifyWebhook({ secret, header = "X-Hub-Signature-256", ...options }) {
+  if (!secret) throw new Error("verifyWebhook requires a secret");
+  return (req, res, next) => {
+    const body = req.rawBody ?? (Buffer.isBuffer(req.body) ? req.body : null);
+    if (!verifySignature(body, req.get(header), secret, options)) {
+      return next(new Unauthorized("Invalid signature", { code: "INVALID_SIGNATURE" }));
+    }
+    next();
+  };
+}
+
+// path + query without the signature, so absolute and relative forms of a URL verify alike
+function canonical(url) {
+  const parsed = new URL(url, "http://localhost");
+  parsed.searchParams.delete("signature");
+  parsed.searchParams.sort();
+  return `${parsed.pathname}?${parsed.searchParams}`;
+}
+
+/**
+ * Add `expires` and `signature` query parameters to a URL
+ * @param {string} url - absolute or path-only
+ * @param {string} secret
+ * @param {{ expiresIn?: number|string }} [options] - seconds or "15m" style duration, default 1h
+ * @returns {string}
+ */
+export function signUrl(url, secret, { expiresIn = "1h" } = {}) {
+  const parsed = new URL(url, "http://localhost");
+  parsed.searchParams.set("expires", String(Math.floor(Date.now() / 1000) + toSeconds(expiresIn)));
+  parsed.searchParams.set("signature", sign(canonical(parsed.href), secret, { encoding: "base64url" }));
+  return /^[a-z][a-z\d+.-]*:/i.test(url) ? parsed.href : `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Check a signUrl() URL, e.g. `verifySignedUrl(req.originalUrl, secret)`
+ * @param {string} url
+ * @param {string} secret
+ * @throws {Unauthorized} INVALID_SIGNATURE or SIGNATURE_EXPIRED
+ */
+export function verifySignedUrl(url, secret) {
+  const parsed = new URL(url, "http://localhost");
+  const signature = parsed.searchParams.get("signature");
+  if (!verifySignature(canonical(parsed.href), signature, secret, { encoding: "base64url" })) {
+    throw new Unauthorized("Invalid signature", { code: "INVALID_SIGNATURE" });
+  }
+  if (Number(parsed.searchParams.get("expires")) <= Math.floor(Date.now() / 1000)) {
+    throw new Unauthorized("Link expired", { code: "SIGNATURE_EXPIRED" });
+  }
+}
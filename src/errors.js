@@ -0,0 +1,157 @@
+import { STATUS_CODES } from "http";
+import { getLogger } from "./logger.js";
+
+/**
+ * Base error for controllers; thrown errors are turned into a JSON envelope
+ * by the Server error handler
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} [message] - defaults to the standard reason phrase
+   * @param {{ code?: string, details?: any, cause?: Error }} [options]
+   */
+  constructor(status = 500, message, { code, details, cause } = {}) {
+    super(message || STATUS_CODES[status] || "Error", { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || toCode(STATUS_CODES[status] || "Error");
+    this.details = details;
+  }
+}
+
+export class BadRequest extends HttpError {
+  constructor(message, options) {
+    super(400, message, options);
+  }
+}
+
+export class Unauthorized extends HttpError {
+  constructor(message, options) {
+    super(401, message, options);
+  }
+}
+
+export class Forbidden extends HttpError {
+  constructor(message, options) {
+    super(403, message, options);
+  }
+}
+
+export class NotFound extends HttpError {
+  constructor(message, options) {
+    super(404, message, options);
+  }
+}
+
+export class Conflict extends HttpError {
+  constructor(message, options) {
+    super(409, message, options);
+  }
+}
+
+export class UnprocessableEntity extends HttpError {
+  constructor(message, options) {
+    super(422, message, options);
+  }
+}
+
+export class TooManyRequests extends HttpError {
+  constructor(message, options) {
+    super(429, message, options);
+  }
+}
+
+export class InternalServerError extends HttpError {
+  constructor(message, options) {
+    super(500, message, options);
+  }
+}
+
+function toCode(phrase) {
+  return phrase.toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+/**
+ * Map anything thrown by a route (HttpError, mongoose errors from Model(),
+ * body-parser errors, plain Errors) to an HttpError
+ * @param {any} err
+ * @returns {HttpError}
+ */
+export function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  // mongoose: schema validation failed
+  if (err?.name === "ValidationError" && err.errors) {
+    const details = Object.values(err.errors).map((e) => ({
+      path: e.path,
+      message: e.message,
+      kind: e.kind,
+    }));
+    return new BadRequest("Validation failed", { code: "VALIDATION_ERROR", details, cause: err });
+  }
+
+  // mongoose: value could not be cast, e.g. a malformed ObjectId
+  if (err?.name === "CastError") {
+    return new BadRequest(`Invalid value for ${err.path}`, {
+      code: "INVALID_VALUE",
+      details: { path: err.path, value: err.value },
+      cause: err,
+    });
+  }
+
+  // mongodb: unique index violation
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new Conflict(
+      fields.length ? `Duplicate value for ${fields.join(", ")}` : "Duplicate key",
+      { code: "DUPLICATE_KEY", details: err.keyValue, cause: err }
+    );
+  }
+
+  // body-parser and other http-errors style errors carry their own status
+  const status = err?.status || err?.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    return new HttpError(status, status < 500 ? err.message : undefined, {
+      code: err.type ? toCode(err.type) : undefined,
+      cause: err,
+    });
+  }
+
+  return new InternalServerError(undefined, { cause: err });
+}
+
+/**
+ * Fallback for requests no route handled
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFound(`Cannot ${req.method} ${req.originalUrl}`));
+}
+
+/**
+ * Final error middleware: responds with
+ * { success: false, status, message, code, details?, stack? }
+ */
+export function errorHandler(err, req, res, next) {
+  const httpError = toHttpError(err);
+  const isProduction = process.env.NODE_ENV === "production";
+
+  if (httpError.status >= 500) {
+    (req.log || getLogger("Server")).error(`${req.method} ${req.originalUrl} failed`, { err });
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  const body = {
+    success: false,
+    status: httpError.status,
+    message: httpError.message,
+    code: httpError.code,
+  };
+  if (httpError.details !== undefined) body.details = httpError.details;
+  if (!isProduction) body.stack = (httpError.cause || httpError).stack;
+
+  res.status(httpError.status).json(body);
+}
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { getLogger } from "./logger.js";
 
 export class Github {
   constructor(username, token) {
@@ -6,6 +7,10 @@ export class Github {
     this.token = token;
   }
 
+  get log() {
+    return getLogger("Github");
+  }
+
   get headers() {
     return {
       Authorization: `token ${this.token}`,
@@ -75,7 +80,7 @@ export class Github {
         assets: await this.repoAssets(repoName)
       };
     } catch (error) {
-      console.error("Repo info error:", error.message);
+      this.log.error("Repo info error", { repo: repoName, message: error.message });
       return null;
     }
   }
@@ -107,7 +112,7 @@ export class Github {
         };
       });
     } catch (err) {
-      console.error("Release assets error:", err.message);
+      this.log.error("Release assets error", { repo: repoName, message: err.message });
       return null;
     }
   }
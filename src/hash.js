@@ -1,7 +1,28 @@
+import crypto from "crypto";
+import { promisify } from "util";
 import bcrypt from "bcryptjs";
+import { BadRequest } from "./errors.js";
+import { getLogger } from "./logger.js";
 
 const SALT_ROUNDS = 10;
 
+const scrypt = promisify(crypto.scrypt);
+
+// marks hashes made from HMAC(pepper, password) instead of the password itself
+const PEPPER_PREFIX = "$peppered$";
+const BCRYPT_HASH = /^\$2[abxy]\$\d{2}\$/;
+const SCRYPT_HASH = /^\$scrypt\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/;
+const DEFAULT_SCRYPT = { N: 2 ** 15, r: 8, p: 1, keylen: 64 };
+
+const COMMON_PASSWORDS = new Set([
+  "123456", "123456789", "12345678", "12345", "1234567", "1234567890", "123123", "111111", "000000",
+  "password", "password1", "password123", "passw0rd", "qwerty", "qwerty123", "qwertyuiop", "abc123",
+  "iloveyou", "admin", "admin123", "welcome", "welcome1", "letmein", "monkey", "dragon", "football",
+  "baseball", "sunshine", "princess", "master", "shadow", "superman", "trustno1", "starwars", "hello123",
+  "login", "changeme", "secret", "azerty", "zaq12wsx", "1q2w3e4r", "1qaz2wsx", "qwe123", "p@ssw0rd",
+  "p@ssword", "default", "guest", "root", "test123",
+]);
+
 /**
  * Encrypt/Hash a plaintext password
  * @param {string} plainText - raw password
@@ -9,20 +30,185 @@ const SALT_ROUNDS = 10;
  */
 
 export async function Encrypt(plainText) {
-  if (!plainText) throw new Error("No string provided");
-  const salt = await bcrypt.genSalt(SALT_ROUNDS);
-  return bcrypt.hash(plainText, salt);
+  return defaultHasher.hash(plainText);
 }
 
 /**
- * Compare a plaintext password with a stored hash
+ * Compare a plaintext password with a stored hash (bcrypt or unpeppered scrypt)
  * @param {string} plainText - user input password
  * @param {string} hash - stored hash from DB
- * @returns {Promise<boolean>} match result
+ * @returns {Promise<boolean>} match result, false when either is empty or the hash is unreadable
+ * (a missing or unreadable hash is logged as a warning)
  */
 
 
 export async function Compare(plainText, hash) {
-  if (!plainText || !hash) return false;
-  return bcrypt.compare(plainText, hash);
+  return defaultHasher.verify(plainText, hash);
 }
+
+/**
+ * Check a password against a strength policy
+ * @param {string} password
+ * @param {object} [options]
+ * @param {number} [options.minLength]
+ * @param {number} [options.maxLength]
+ * @param {number} [options.minClasses] - how many of lowercase, uppercase, digit, symbol are required
+ * @param {boolean|Iterable<string>} [options.common] - reject common passwords (built-in list or your own)
+ * @param {string[]} [options.forbidden] - values the password must not contain, e.g. the email or name
+ * @returns {{ valid: boolean, reasons: Array<{ code: string, message: string }> }}
+ */
+export function checkPasswordStrength(
+  password,
+  { minLength = 8, maxLength = 128, minClasses = 3, common = true, forbidden = [] } = {}
+) {
+  const value = String(password ?? "");
+  const reasons = [];
+  const reject = (code, message) => reasons.push({ code, message });
+
+  if (value.length < minLength) reject("TOO_SHORT", `Use at least ${minLength} characters`);
+  if (value.length > maxLength) reject("TOO_LONG", `Use at most ${maxLength} characters`);
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((pattern) => pattern.test(value)).length;
+  if (classes < minClasses) {
+    reject("TOO_SIMPLE", `Mix at least ${minClasses} of lowercase, uppercase, digits and symbols`);
+  }
+
+  const lower = value.toLowerCase();
+  const commonList = common === true ? COMMON_PASSWORDS : common ? new Set(common) : null;
+  if (commonList?.has(lower)) reject("COMMON", "This password is too common");
+
+  for (const item of forbidden) {
+    // "jane.doe@example.com" also forbids "jane.doe"
+    const needle = String(item ?? "").toLowerCase().split("@")[0];
+    if (needle.length >= 3 && lower.includes(needle)) {
+      reject("PERSONAL_INFO", "Do not use your name or email in the password");
+      break;
+    }
+  }
+
+  return { valid: reasons.length === 0, reasons };
+}
+
+/**
+ * Password hashing with a configurable algorithm and cost, an optional pepper
+ * and needsRehash() so stored hashes can be upgraded at the next login.
+ * bcrypt hashes stay readable by Compare() as long as no pepper is used.
+ */
+export class PasswordHasher {
+  /**
+   * @param {object} [options]
+   * @param {"bcrypt"|"scrypt"} [options.algorithm]
+   * @param {number} [options.cost] - bcrypt rounds
+   * @param {{ N?: number, r?: number, p?: number, keylen?: number }} [options.scrypt]
+   * @param {string} [options.pepper] - server-side secret mixed into every hash; keep it out of the database
+   * @param {object|false} [options.policy] - checkPasswordStrength() options enforced by hash()
+   */
+  constructor({ algorithm = "bcrypt", cost = SALT_ROUNDS, scrypt: scryptOptions = {}, pepper, policy = false } = {}) {
+    if (!["bcrypt", "scrypt"].includes(algorithm)) throw new Error(`Unknown password algorithm: ${algorithm}`);
+    if (!Number.isInteger(cost) || cost < 4 || cost > 31) throw new Error(`Invalid bcrypt cost: ${cost}`);
+    const params = { ...DEFAULT_SCRYPT, ...scryptOptions };
+    for (const [name, value] of Object.entries(params)) {
+      if (!Number.isInteger(value) || value < 1) throw new Error(`Invalid scrypt ${name}: ${value}`);
+    }
+    if (params.N < 2 || (params.N & (params.N - 1)) !== 0) throw new Error(`scrypt N must be a power of 2: ${params.N}`);
+    if (pepper != null && typeof pepper !== "string") throw new Error("Password pepper must be a string");
+    this.algorithm = algorithm;
+    this.cost = cost;
+    this.scrypt = params;
+    this.pepper = pepper || null;
+    this.policy = policy;
+  }
+
+  get log() {
+    return getLogger("PasswordHasher");
+  }
+
+  // HMAC output is fixed-length, which also keeps long passwords under bcrypt's 72-byte limit
+  _pepper(password, peppered) {
+    if (!peppered) return password;
+    return crypto.createHmac("sha256", this.pepper).update(password).digest("base64");
+  }
+
+  /**
+   * @param {string} password
+   * @param {{ forbidden?: string[] }} [context] - extra policy input, e.g. the user's email
+   * @returns {Promise<string>}
+   * @throws {BadRequest} WEAK_PASSWORD with the policy reasons as details
+   */
+  async hash(password, { forbidden } = {}) {
+    if (!password) throw new Error("No string provided");
+    if (this.policy) {
+      const { valid, reasons } = checkPasswordStrength(password, { ...this.policy, forbidden });
+      if (!valid) throw new BadRequest("Password is too weak", { code: "WEAK_PASSWORD", details: reasons });
+    }
+
+    const input = this._pepper(password, Boolean(this.pepper));
+    const prefix = this.pepper ? PEPPER_PREFIX : "";
+    if (this.algorithm === "bcrypt") return prefix + (await bcrypt.hash(input, this.cost));
+
+    const { N, r, p, keylen } = this.scrypt;
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(input, salt, keylen, { N, r, p, maxmem: 256 * N * r });
+    const encode = (buffer) => buffer.toString("base64").replace(/=+$/, "");
+    return `${prefix}$scrypt$N=${N},r=${r},p=${p}$${encode(salt)}$${encode(key)}`;
+  }
+
+  /**
+   * @param {string} password
+   * @param {string} hash
+   * @returns {Promise<boolean>} false for a wrong or empty password, and (with a warning
+   * logged) for a missing or unreadable hash, so a bad row fails like a wrong password
+   */
+  async verify(password, hash) {
+    if (!password) return false;
+    if (typeof hash !== "string" || !hash) return this._unreadable("No password hash stored");
+
+    const peppered = hash.startsWith(PEPPER_PREFIX);
+    if (peppered && !this.pepper) return this._unreadable("Password hash needs a pepper, none is configured");
+    const stored = peppered ? hash.slice(PEPPER_PREFIX.length) : hash;
+    const input = this._pepper(password, peppered);
+
+    if (BCRYPT_HASH.test(stored)) return bcrypt.compare(input, stored);
+
+    const match = SCRYPT_HASH.exec(stored);
+    if (!match) return this._unreadable("Unrecognized password hash format");
+    const [, N, r, p, salt, key] = match;
+    const expected = Buffer.from(key, "base64");
+    const actual = await scrypt(input, Buffer.from(salt, "base64"), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+      maxmem: 256 * Number(N) * Number(r),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  _unreadable(reason) {
+    this.log.warn(`${reason}, treating it as a mismatch`);
+    return false;
+  }
+
+  /**
+   * True when `hash` was made with another algorithm, cost or pepper setting
+   * than this hasher's; rehash the password after a successful verify()
+   * @param {string} hash
+   * @returns {boolean}
+   */
+  needsRehash(hash) {
+    if (typeof hash !== "string") return true;
+    const peppered = hash.startsWith(PEPPER_PREFIX);
+    if (peppered !== Boolean(this.pepper)) return true;
+    const stored = peppered ? hash.slice(PEPPER_PREFIX.length) : hash;
+
+    if (BCRYPT_HASH.test(stored)) return this.algorithm !== "bcrypt" || bcrypt.getRounds(stored) !== this.cost;
+    const match = SCRYPT_HASH.exec(stored);
+    if (!match || this.algorithm !== "scrypt") return true;
+    const [, N, r, p, , key] = match;
+    const { N: n, r: rr, p: pp, keylen } = this.scrypt;
+    return (
+      Number(N) !== n || Number(r) !== rr || Number(p) !== pp || Buffer.from(key, "base64").length !== keylen
+    );
+  }
+}
+
+const defaultHasher = new PasswordHasher();
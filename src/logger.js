@@ -0,0 +1,143 @@
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity };
+
+const COLORS = {
+  trace: "\x1b[90m",
+  debug: "\x1b[36m",
+  info: "\x1b[32m",
+  warn: "\x1b[33m",
+  error: "\x1b[31m",
+  fatal: "\x1b[35m",
+};
+const RESET = "\x1b[0m";
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+// Errors do not survive JSON.stringify, so flatten them wherever they appear
+function normalizeFields(fields) {
+  if (fields === undefined) return {};
+  if (fields instanceof Error) return { err: serializeError(fields) };
+  if (typeof fields !== "object" || fields === null) return { value: fields };
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+}
+
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {"trace"|"debug"|"info"|"warn"|"error"|"fatal"|"silent"} [options.level] - defaults to LOG_LEVEL or "info"
+   * @param {"pretty"|"json"} [options.format] - defaults to json in production
+   * @param {object} [options.bindings] - fields added to every line
+   * @param {{ write(line: string): any }} [options.stream] - defaults to stdout (stderr for warn and above)
+   */
+  constructor({
+    level = process.env.LOG_LEVEL || "info",
+    format = process.env.NODE_ENV === "production" ? "json" : "pretty",
+    bindings = {},
+    stream,
+  } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+    this.level = level;
+    this.format = format;
+    this.bindings = bindings;
+    this.stream = stream;
+  }
+
+  /**
+   * A logger sharing this one's settings with extra bound fields
+   * @param {object} bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+      stream: this.stream,
+    });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  _write(level, msg, fields) {
+    if (!this.isLevelEnabled(level)) return;
+    const time = new Date().toISOString();
+    const data = { ...this.bindings, ...normalizeFields(fields) };
+    const stream = this.stream || (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout);
+
+    if (this.format === "json") {
+      stream.write(`${JSON.stringify({ time, level, msg, ...data })}\n`);
+      return;
+    }
+
+    const { component, ...rest } = data;
+    const err = rest.err;
+    delete rest.err;
+    const color = stream.isTTY ? COLORS[level] : "";
+    let line = `${time} ${color}${level.toUpperCase().padEnd(5)}${color && RESET}`;
+    if (component) line += ` [${component}]`;
+    line += ` ${msg}`;
+    if (Object.keys(rest).length) line += ` ${JSON.stringify(rest)}`;
+    if (err?.stack) line += `\n${err.stack}`;
+    stream.write(`${line}\n`);
+  }
+
+  trace(msg, fields) {
+    this._write("trace", msg, fields);
+  }
+
+  debug(msg, fields) {
+    this._write("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write("error", msg, fields);
+  }
+
+  fatal(msg, fields) {
+    this._write("fatal", msg, fields);
+  }
+}
+
+let rootLogger = new Logger();
+const componentLoggers = new Map();
+
+/**
+ * Replace the logger used across atlas-server. Anything with
+ * trace/debug/info/warn/error methods (msg, fields) works; child() is used when present.
+ * @param {object} logger
+ */
+export function setLogger(logger) {
+  rootLogger = logger;
+  componentLoggers.clear();
+}
+
+/**
+ * The library logger, optionally bound to a component name
+ * @param {string} [component]
+ * @returns {Logger}
+ */
+export function getLogger(component) {
+  if (!component) return rootLogger;
+  if (!componentLoggers.has(component)) {
+    componentLoggers.set(
+      component,
+      typeof rootLogger.child === "function" ? rootLogger.child({ component }) : rootLogger
+    );
+  }
+  return componentLoggers.get(component);
+}
@@ -0,0 +1,132 @@
+import { monitorEventLoopDelay } from "perf_hooks";
+
+const LOOP_RESOLUTION_MS = 20;
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * In-process request metrics rendered in the Prometheus text format
+ */
+export class Metrics {
+  constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.requests = new Map(); // "method|route|status" -> count
+    this.durations = new Map(); // "method|route" -> { counts, sum, count }
+    this.caches = new Map(); // name -> Cache
+    this.loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+    this.loopDelay.enable();
+  }
+
+  /**
+   * Record count and latency per route; unmatched requests share one label
+   * so random 404 paths cannot blow up the series count
+   * @returns {import("express").RequestHandler}
+   */
+  middleware() {
+    return (req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.once("finish", () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+        this.observe(req.method, route, res.statusCode, seconds);
+      });
+      next();
+    };
+  }
+
+  observe(method, route, status, seconds) {
+    const requestKey = `${method}|${route}|${status}`;
+    this.requests.set(requestKey, (this.requests.get(requestKey) || 0) + 1);
+
+    const durationKey = `${method}|${route}`;
+    let histogram = this.durations.get(durationKey);
+    if (!histogram) {
+      histogram = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.durations.set(durationKey, histogram);
+    }
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) histogram.counts[i] += 1;
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+  }
+
+  /**
+   * Report hit/miss/key stats of a Cache instance
+   * @param {string} name
+   * @param {import("./cache.js").Cache} cache
+   */
+  trackCache(name, cache) {
+    this.caches.set(name, cache);
+    return this;
+  }
+
+  stop() {
+    this.loopDelay.disable();
+  }
+
+  /**
+   * @returns {string} Prometheus text exposition
+   */
+  render() {
+    const lines = [];
+
+    lines.push(...header("http_requests_total", "Total HTTP requests", "counter"));
+    for (const [key, count] of this.requests) {
+      const [method, route, status] = key.split("|");
+      lines.push(`http_requests_total${formatLabels({ method, route, status })} ${count}`);
+    }
+
+    lines.push(...header("http_request_duration_seconds", "HTTP request latency", "histogram"));
+    for (const [key, { counts, sum, count }] of this.durations) {
+      const [method, route] = key.split("|");
+      this.buckets.forEach((le, i) => {
+        lines.push(`http_request_duration_seconds_bucket${formatLabels({ method, route, le })} ${counts[i]}`);
+      });
+      lines.push(`http_request_duration_seconds_bucket${formatLabels({ method, route, le: "+Inf" })} ${count}`);
+      lines.push(`http_request_duration_seconds_sum${formatLabels({ method, route })} ${sum}`);
+      lines.push(`http_request_duration_seconds_count${formatLabels({ method, route })} ${count}`);
+    }
+
+    const memory = process.memoryUsage();
+    lines.push(...header("process_resident_memory_bytes", "Resident memory size in bytes", "gauge"));
+    lines.push(`process_resident_memory_bytes ${memory.rss}`);
+    lines.push(...header("nodejs_heap_size_total_bytes", "V8 heap size in bytes", "gauge"));
+    lines.push(`nodejs_heap_size_total_bytes ${memory.heapTotal}`);
+    lines.push(...header("nodejs_heap_size_used_bytes", "V8 heap used in bytes", "gauge"));
+    lines.push(`nodejs_heap_size_used_bytes ${memory.heapUsed}`);
+    lines.push(...header("process_uptime_seconds", "Process uptime in seconds", "gauge"));
+    lines.push(`process_uptime_seconds ${process.uptime()}`);
+
+    // samples are timer intervals in ns, so the sampling resolution itself is not lag
+    const toSeconds = (ns) => (Number.isFinite(ns) ? Math.max(0, ns / 1e6 - LOOP_RESOLUTION_MS) / 1e3 : 0);
+    lines.push(...header("nodejs_eventloop_lag_seconds", "Mean event loop delay", "gauge"));
+    lines.push(`nodejs_eventloop_lag_seconds ${toSeconds(this.loopDelay.mean)}`);
+    lines.push(...header("nodejs_eventloop_lag_p99_seconds", "99th percentile event loop delay", "gauge"));
+    lines.push(`nodejs_eventloop_lag_p99_seconds ${toSeconds(this.loopDelay.percentile(99))}`);
+
+    if (this.caches.size) {
+      const stats = [...this.caches].map(([name, cache]) => [name, cache.getStats()]);
+      lines.push(...header("cache_hits_total", "Cache hits", "counter"));
+      for (const [name, { hits }] of stats) lines.push(`cache_hits_total${formatLabels({ cache: name })} ${hits}`);
+      lines.push(...header("cache_misses_total", "Cache misses", "counter"));
+      for (const [name, { misses }] of stats) lines.push(`cache_misses_total${formatLabels({ cache: name })} ${misses}`);
+      lines.push(...header("cache_keys", "Keys currently cached", "gauge"));
+      for (const [name, { keys }] of stats) lines.push(`cache_keys${formatLabels({ cache: name })} ${keys}`);
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+}
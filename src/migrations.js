@@ -0,0 +1,236 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import mongoose from "mongoose";
+import { getLogger } from "./logger.js";
+
+const LOCK_ID = "__lock__";
+const MIGRATION_FILE = /\.(m?js)$/;
+
+const TEMPLATE = `/**
+ * @param {{ db: import("mongodb").Db, connection: import("mongoose").Connection, mongoose: import("mongoose").Mongoose }} context
+ */
+export async function up({ db }) {
+}
+
+export async function down({ db }) {
+}
+`;
+
+const nameOf = (file) => file.replace(MIGRATION_FILE, "");
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+/**
+ * Runs migration files from `dir` in filename order. Each file exports
+ * `up(context)` and `down(context)`; applied names are recorded in `collection`,
+ * which also holds the lock that keeps two processes from migrating at once.
+ */
+export class Migrator {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - migration files, default "migrations" under the working directory
+   * @param {string} [options.collection]
+   * @param {number} [options.lockTimeout] - ms after which a lock left by a crashed run is taken over;
+   * a running migrator renews its lock every third of this
+   * @param {import("mongoose").Connection} [options.connection]
+   */
+  constructor({
+    dir = "migrations",
+    collection = "migrations",
+    lockTimeout = 10 * 60 * 1000,
+    connection = mongoose.connection,
+  } = {}) {
+    this.dir = path.resolve(dir);
+    this.collectionName = collection;
+    this.lockTimeout = lockTimeout;
+    this.connection = connection;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    this.lockLost = false;
+  }
+
+  get log() {
+    return getLogger("Migrations");
+  }
+
+  get collection() {
+    if (this.connection.readyState !== 1) throw new Error("Database is not connected");
+    return this.connection.db.collection(this.collectionName);
+  }
+
+  /**
+   * @returns {Promise<string[]>} migration filenames, sorted
+   */
+  async files() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    return entries.filter((file) => MIGRATION_FILE.test(file)).sort();
+  }
+
+  async load(file) {
+    const migration = await import(pathToFileURL(path.join(this.dir, file)).href);
+    if (typeof migration.up !== "function") throw new Error(`Migration ${file} does not export up()`);
+    return migration;
+  }
+
+  async applied() {
+    return this.collection.find({ _id: { $ne: LOCK_ID } }).sort({ appliedAt: 1, _id: 1 }).toArray();
+  }
+
+  async lock() {
+    const now = new Date();
+    try {
+      await this.collection.insertOne({ _id: LOCK_ID, owner: this.owner, lockedAt: now });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // take over a lock whose holder died without releasing it
+      const stale = await this.collection.deleteOne({
+        _id: LOCK_ID,
+        lockedAt: { $lt: new Date(now.getTime() - this.lockTimeout) },
+      });
+      if (!stale.deletedCount) throw new Error("Migrations are locked by another process");
+      this.log.warn("Took over a stale migration lock");
+      return this.lock();
+    }
+  }
+
+  // refresh lockedAt while migrations run, so a long one is never mistaken for a crashed run
+  _heartbeat() {
+    const timer = setInterval(async () => {
+      try {
+        const { matchedCount } = await this.collection.updateOne(
+          { _id: LOCK_ID, owner: this.owner },
+          { $set: { lockedAt: new Date() } }
+        );
+        if (!matchedCount) {
+          this.lockLost = true;
+          clearInterval(timer);
+          this.log.error("Lost the migration lock to another process");
+        }
+      } catch (err) {
+        this.log.warn("Could not renew the migration lock", { err });
+      }
+    }, this.lockTimeout / 3);
+    timer.unref();
+    return timer;
+  }
+
+  async unlock() {
+    await this.collection.deleteOne({ _id: LOCK_ID, owner: this.owner });
+  }
+
+  // between migrations: never keep going next to another lock holder
+  _assertLocked(next) {
+    if (this.lockLost) throw new Error(`Lost the migration lock to another process, stopped before ${next}`);
+  }
+
+  async _locked(fn) {
+    await this.lock();
+    this.lockLost = false;
+    const heartbeat = this._heartbeat();
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      await this.unlock();
+    }
+  }
+
+  context() {
+    return { db: this.connection.db, connection: this.connection, mongoose };
+  }
+
+  /**
+   * Apply every pending migration in order
+   * @returns {Promise<string[]>} names applied
+   */
+  async migrate() {
+    return this._locked(async () => {
+      const done = new Set((await this.applied()).map((record) => record._id));
+      const pending = (await this.files()).filter((file) => !done.has(nameOf(file)));
+      const names = [];
+      for (const file of pending) {
+        const name = nameOf(file);
+        this._assertLocked(name);
+        this.log.info(`Applying ${name}`);
+        await (await this.load(file)).up(this.context());
+        await this.collection.insertOne({ _id: name, appliedAt: new Date() });
+        names.push(name);
+      }
+      if (!names.length) this.log.info("No pending migrations");
+      return names;
+    });
+  }
+
+  /**
+   * Revert the last `steps` applied migrations, newest first
+   * @param {number} [steps]
+   * @returns {Promise<string[]>} names reverted
+   */
+  async rollback(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 0) throw new Error(`Invalid rollback steps: ${steps}`);
+    return this._locked(async () => {
+      const files = await this.files();
+      const applied = await this.applied();
+      const targets = applied.slice(Math.max(0, applied.length - steps)).reverse();
+      // check every target can be reverted before touching any of them
+      const migrations = [];
+      for (const { _id: name } of targets) {
+        const file = files.find((f) => nameOf(f) === name);
+        if (!file) throw new Error(`Migration file for ${name} not found in ${this.dir}`);
+        const migration = await this.load(file);
+        if (typeof migration.down !== "function") throw new Error(`Migration ${name} does not export down()`);
+        migrations.push([name, migration]);
+      }
+      const names = [];
+      for (const [name, migration] of migrations) {
+        this._assertLocked(name);
+        this.log.info(`Reverting ${name}`);
+        await migration.down(this.context());
+        await this.collection.deleteOne({ _id: name });
+        names.push(name);
+      }
+      return names;
+    });
+  }
+
+  /**
+   * @returns {Promise<Array<{ name: string, applied: boolean, appliedAt: Date|null, missing?: boolean }>>}
+   * `missing` marks applied migrations whose file is gone
+   */
+  async status() {
+    const records = new Map((await this.applied()).map((record) => [record._id, record]));
+    const rows = (await this.files()).map((file) => {
+      const name = nameOf(file);
+      const record = records.get(name);
+      records.delete(name);
+      return { name, applied: Boolean(record), appliedAt: record?.appliedAt ?? null };
+    });
+    for (const [name, record] of records) {
+      rows.push({ name, applied: true, appliedAt: record.appliedAt, missing: true });
+    }
+    return rows;
+  }
+
+  /**
+   * Write an empty migration file named "<timestamp>-<name>.js"
+   * @param {string} name
+   * @returns {Promise<string>} file path
+   */
+  async create(name) {
+    const slug = String(name || "migration").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const filePath = path.join(this.dir, `${timestamp()}-${slug || "migration"}.js`);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(filePath, TEMPLATE, { flag: "wx" });
+    return filePath;
+  }
+}
@@ -0,0 +1,473 @@
+import mongoose from "mongoose";
+import { BadRequest, NotFound } from "./errors.js";
+import { AuditLog } from "./audit.js";
+import { Cache } from "./cache.js";
+import { currentTenant } from "./tenant.js";
+import { declareSearchIndexes, searchApi } from "./search.js";
+import { encryptSchemaFields, encryptPaths, decryptPaths } from "./encryption.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const { EJSON } = mongoose.mongo.BSON;
+
+let sharedCache = null;
+
+// Model() objects by name, for seed() and anything else that works across models
+const registry = new Map();
+
+/**
+ * @param {string} modelName
+ * @returns {object|undefined} the object Model() returned for that name
+ */
+export function getModel(modelName) {
+  return registry.get(modelName);
+}
+
+/**
+ * @returns {string[]} names passed to Model() so far
+ */
+export function modelNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * Apply sort/select/populate/lean/session to a mongoose query
+ * @param {import("mongoose").Query} query
+ * @param {{ sort?: string|object, select?: string|object, populate?: any, lean?: boolean, session?: import("mongoose").ClientSession }} options
+ */
+function applyQueryOptions(query, { sort, select, populate, lean, session } = {}) {
+  if (session) query.session(session);
+  // "-createdAt,name" from a query string works like "-createdAt name"
+  if (sort) query.sort(typeof sort === "string" ? sort.replace(/,/g, " ") : sort);
+  if (select) query.select(typeof select === "string" ? select.replace(/,/g, " ") : select);
+  if (populate) query.populate(populate);
+  if (lean) query.lean();
+  return query;
+}
+
+function toLimit(limit, maxLimit) {
+  const n = Math.floor(Number(limit));
+  return Math.min(maxLimit, Math.max(1, Number.isFinite(n) && n > 0 ? n : DEFAULT_LIMIT));
+}
+
+function valueAt(doc, field) {
+  if (typeof doc.get === "function") return doc.get(field);
+  return field.split(".").reduce((value, key) => value?.[key], doc);
+}
+
+// EJSON keeps ObjectId and Date values intact through the round trip
+function encodeCursor(doc, field) {
+  return Buffer.from(EJSON.stringify({ v: valueAt(doc, field), id: doc._id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    decoded = null;
+  }
+  if (!decoded || typeof decoded !== "object" || decoded.id === undefined) {
+    throw new BadRequest("Invalid cursor", { code: "INVALID_CURSOR" });
+  }
+  return decoded;
+}
+
+/**
+ * `tenant` option: "field" | "database" | { mode, field, dbName }
+ */
+function tenantOptions(tenant) {
+  if (!tenant) return null;
+  const options = typeof tenant === "string" ? { mode: tenant } : { mode: "field", ...tenant };
+  if (!["field", "database"].includes(options.mode)) throw new Error(`Unknown tenant mode: ${options.mode}`);
+  return { field: "tenantId", dbName: (tenantId) => `tenant_${tenantId}`, ...options };
+}
+
+// same schema on the tenant's database; useDb caches the connection per name
+function tenantModel(model, { dbName }, tenantId) {
+  const db = model.db.useDb(dbName(tenantId), { useCache: true });
+  return db.models[model.modelName] || db.model(model.modelName, model.schema);
+}
+
+// bulkWrite operations confined to the current tenant in "field" mode
+function scopeOperation(operation, scope, withTenant) {
+  const [[type, spec]] = Object.entries(operation);
+  if (type === "insertOne") return { insertOne: { ...spec, document: withTenant(spec.document) } };
+  if (type === "replaceOne") {
+    return { replaceOne: { ...spec, filter: scope(spec.filter), replacement: withTenant(spec.replacement) } };
+  }
+  return { [type]: { ...spec, filter: scope(spec.filter) } };
+}
+
+/**
+ * Wrap the write methods of a Model() api so every change lands in the audit log;
+ * bulkWrite and queries on `raw` are not recorded
+ */
+function auditedApi(api, { model, log, live, scope, softDelete, tenantOf }) {
+  const base = { ...api };
+  const castId = (id) => model().schema.path("_id").cast(id);
+  const findOne = (filters, session) => model().findOne(filters).session(session ?? null);
+  const find = (filters, session) => model().find(filters).session(session ?? null);
+
+  async function recordMany(action, befores, ids, session) {
+    const afters = await find({ _id: { $in: ids } }, session);
+    const byId = new Map(afters.map((doc) => [String(doc._id), doc]));
+    for (const before of befores) {
+      await log.record(action, before, byId.get(String(before._id)) ?? null, { session });
+    }
+  }
+
+  return {
+    create: async (data, options = {}) => {
+      const doc = await base.create(data, options);
+      await log.record("create", null, doc, options);
+      return doc;
+    },
+    createMany: async (docs, options = {}) => {
+      const created = await base.createMany(docs, options);
+      for (const doc of created) await log.record("create", null, doc, options);
+      return created;
+    },
+    updateById: async (id, data, options = {}) => {
+      const before = await findOne(live({ _id: id }), options.session);
+      const after = await base.updateById(id, data, options);
+      if (after) await log.record("update", before, after, options);
+      return after;
+    },
+    // the write is narrowed to the documents read first, so the log matches what changed
+    updateMany: async (filters, data, options = {}) => {
+      const befores = await find(live(filters), options.session);
+      const ids = befores.map((doc) => doc._id);
+      const result = await base.updateMany({ _id: { $in: ids } }, data, options);
+      await recordMany("update", befores, ids, options.session);
+      return result;
+    },
+    upsert: async (filters, data, options = {}) => {
+      const before = await findOne(live(filters), options.session);
+      const after = await base.upsert(filters, data, options);
+      await log.record(before ? "update" : "create", before, after, options);
+      return after;
+    },
+    deleteById: async (id, options = {}) => {
+      const before = await findOne(live({ _id: id }), options.session);
+      const result = await base.deleteById(id, options);
+      if (result) await log.record("delete", before, softDelete ? result : null, options);
+      return result;
+    },
+    deleteMany: async (filters, options = {}) => {
+      const befores = await find(live(filters), options.session);
+      const ids = befores.map((doc) => doc._id);
+      const result = await base.deleteMany({ _id: { $in: ids } }, options);
+      await recordMany("delete", befores, ids, options.session);
+      return result;
+    },
+    ...(softDelete && {
+      restoreById: async (id, options = {}) => {
+        const before = await findOne(scope({ _id: id }), options.session);
+        const after = await base.restoreById(id, options);
+        if (after) await log.record("restore", before, after, options);
+        return after;
+      },
+      purgeById: async (id, options = {}) => {
+        const doc = await base.purgeById(id, options);
+        if (doc) await log.record("delete", doc, null, options);
+        return doc;
+      },
+    }),
+
+    /**
+     * Every recorded change of a document, oldest first:
+     * { version, action, before, after, diff, actor, requestId, at }
+     */
+    history: async (id) => log.history(castId(id), tenantOf()),
+
+    /**
+     * Put the document back in the state recorded by `version`, recreating it if
+     * it was removed; the revert is itself recorded as a new version
+     */
+    revertTo: async (id, version, { session } = {}) => {
+      const entry = await log.entry(castId(id), Number(version), tenantOf());
+      if (!entry) throw new NotFound(`Version ${version} of ${model().modelName} ${id} not found`);
+      if (!entry.after) {
+        throw new BadRequest(`Version ${version} is a deletion and cannot be restored`, { code: "INVALID_VERSION" });
+      }
+      const current = await findOne(scope({ _id: entry.documentId }), session);
+      const after = current
+        ? await model().findOneAndReplace(scope({ _id: entry.documentId }), entry.after, { new: true, session })
+        : (await model().create([entry.after], { session }))[0];
+      await log.record("revert", current, after, { session });
+      return after;
+    },
+  };
+}
+
+// "+password" forces a `select: false` field into the result; such reads are never cached
+const selectsHidden = (select) => typeof select === "string" && /(^|[\s,])\+/.test(select);
+
+/**
+ * Read-through caching for findById/findOne/findAll. Entries live in the
+ * "model:<name>" namespace; findById entries are tagged with the id, query
+ * entries with "<name>:queries", and every write clears what it may have changed.
+ * Calls with a session, populate or a "+field" select bypass the cache.
+ */
+function cachedApi(api, { model, name, tenantOf, encrypted, ttl = 60, store }) {
+  const base = { ...api };
+  const cache = store || (sharedCache ||= new Cache());
+  const namespace = `model:${name}`;
+  const queriesTag = `${name}:queries`;
+  const idTag = (id) => `${name}:${id}`;
+
+  // the Cache stores JSON, so documents are hydrated again on the way out;
+  // lean results arrive decrypted, so encrypted paths are encrypted again before caching
+  const toPlain = (doc) =>
+    doc ? encryptPaths(encrypted, JSON.parse(JSON.stringify(typeof doc.toObject === "function" ? doc.toObject() : doc))) : null;
+  const revive = (value, lean) => {
+    if (!value) return value;
+    const doc = model().hydrate(value);
+    return lean ? decryptPaths(encrypted, doc.toObject()) : doc;
+  };
+  const mapResult = (result, fn) => {
+    if (Array.isArray(result)) return result.map(fn);
+    if (result && Array.isArray(result.items)) return { ...result, items: result.items.map(fn) };
+    return fn(result);
+  };
+
+  async function read(op, args, queryOptions = {}, tags, fetch) {
+    if (queryOptions.session || queryOptions.populate || selectsHidden(queryOptions.select)) return fetch();
+    // tenants never share entries
+    const key = `${op}:${EJSON.stringify({ tenant: tenantOf(), ...args })}`;
+    const value = await cache.getOrSetItem(key, async () => mapResult(await fetch(), toPlain), ttl, namespace, tags);
+    return mapResult(value, (item) => revive(item, queryOptions.lean));
+  }
+
+  const clearQueries = () => cache.clearTag(queriesTag);
+  const clearId = (id) => {
+    cache.clearTag(idTag(id));
+    clearQueries();
+  };
+  const clearAll = () => cache.clearNamespace(namespace);
+
+  const writes = {};
+  // writes that name one document clear it and every query result
+  for (const method of ["updateById", "deleteById", "restoreById", "purgeById", "revertTo"]) {
+    if (!base[method]) continue;
+    writes[method] = async (id, ...args) => {
+      const result = await base[method](id, ...args);
+      clearId(id);
+      return result;
+    };
+  }
+  // misses are cached as null too, so a document inserted with a known _id clears its id
+  for (const method of ["create", "createMany"]) {
+    writes[method] = async (...args) => {
+      const result = await base[method](...args);
+      for (const doc of [].concat(result ?? [])) {
+        if (doc?._id !== undefined) cache.clearTag(idTag(doc._id));
+      }
+      clearQueries();
+      return result;
+    };
+  }
+  for (const method of ["updateMany", "deleteMany", "upsert", "bulkWrite"]) {
+    writes[method] = async (...args) => {
+      const result = await base[method](...args);
+      clearAll();
+      return result;
+    };
+  }
+
+  return {
+    ...writes,
+    findById: async (id, queryOptions) =>
+      read("findById", { id, queryOptions }, queryOptions, [idTag(id)], () => base.findById(id, queryOptions)),
+    findOne: async (filters = {}, queryOptions) =>
+      read("findOne", { filters, queryOptions }, queryOptions, [queriesTag], () => base.findOne(filters, queryOptions)),
+    findAll: async (filters = {}, queryOptions) =>
+      read("findAll", { filters, queryOptions }, queryOptions, [queriesTag], () => base.findAll(filters, queryOptions)),
+    clearCache: clearAll,
+  };
+}
+
+export function Model(modelName, schemaDefinition, options = {}) {
+  const {
+    middleware,
+    maxLimit = MAX_LIMIT,
+    softDelete = false,
+    audit = false,
+    cache = false,
+    tenant = false,
+    search,
+    geo,
+    ...restOptions
+  } = options;
+
+  const schema = new mongoose.Schema(schemaDefinition, {
+    timestamps: true,
+    versionKey: false,
+    ...restOptions,
+  });
+
+  if (softDelete) {
+    schema.add({
+      deletedAt: { type: Date, default: null, index: true },
+      deletedBy: { type: mongoose.Schema.Types.Mixed, default: null },
+    });
+  }
+
+  declareSearchIndexes(schema, { search, geo });
+  const encrypted = encryptSchemaFields(schema);
+
+  const tenancy = tenantOptions(tenant);
+  if (tenancy?.mode === "field") {
+    schema.add({ [tenancy.field]: { type: String, required: true, index: true, immutable: true } });
+  }
+
+  // Allow user to add pre/post middleware
+  if (typeof middleware === "function") {
+    middleware(schema);
+  }
+
+  const model =
+    mongoose.models[modelName] || mongoose.model(modelName, schema);
+
+  // What every wrapper call runs against: the tenant's database in "database" mode
+  const scopedModel = () => (tenancy?.mode === "database" ? tenantModel(model, tenancy, currentTenant()) : model);
+  // In "field" mode the current tenant is forced into every filter and new document
+  const scope = (filters = {}) =>
+    tenancy?.mode === "field" ? { ...filters, [tenancy.field]: currentTenant() } : filters;
+  const withTenant = (doc) => (tenancy?.mode === "field" ? { ...doc, [tenancy.field]: currentTenant() } : doc);
+
+  // With softDelete, wrapper reads and updates only see live documents
+  const live = (filters = {}) => scope(softDelete ? { deletedAt: null, ...filters } : filters);
+
+  /**
+   * Without page/limit: every match, as before. With page and/or limit:
+   * { items, total, page, pages, limit, hasNext }
+   */
+  async function findMany(filters, queryOptions = {}) {
+    const { page, limit, ...rest } = queryOptions;
+    if (page === undefined && limit === undefined) {
+      return applyQueryOptions(scopedModel().find(filters), rest);
+    }
+
+    const perPage = toLimit(limit, maxLimit);
+    const current = Math.max(1, Math.floor(Number(page)) || 1);
+    const [items, total] = await Promise.all([
+      applyQueryOptions(scopedModel().find(filters), rest).skip((current - 1) * perPage).limit(perPage),
+      scopedModel().countDocuments(filters).session(rest.session ?? null),
+    ]);
+    const pages = Math.ceil(total / perPage);
+    return { items, total, page: current, pages, limit: perPage, hasNext: current < pages };
+  }
+
+  /**
+   * Keyset pagination for infinite scroll: pass the previous nextCursor as `after`.
+   * `field` should be indexed; _id breaks ties between equal values.
+   * @returns {Promise<{ items: any[], nextCursor: string|null, hasNext: boolean }>}
+   */
+  async function findCursor(filters = {}, queryOptions = {}) {
+    filters = live(filters);
+    const { after, limit, field = "_id", order = "asc", ...rest } = queryOptions;
+    const perPage = toLimit(limit, maxLimit);
+    const direction = order === "desc" ? -1 : 1;
+    const op = direction === 1 ? "$gt" : "$lt";
+
+    let query = filters;
+    if (after) {
+      const { v, id } = decodeCursor(after);
+      const position =
+        field === "_id"
+          ? { _id: { [op]: id } }
+          : { $or: [{ [field]: { [op]: v } }, { [field]: v, _id: { [op]: id } }] };
+      query = { $and: [filters, position] };
+    }
+
+    const sort = field === "_id" ? { _id: direction } : { [field]: direction, _id: direction };
+    const items = await applyQueryOptions(scopedModel().find(query), { ...rest, sort }).limit(perPage + 1);
+    const hasNext = items.length > perPage;
+    if (hasNext) items.pop();
+
+    return {
+      items,
+      nextCursor: hasNext ? encodeCursor(items[items.length - 1], field) : null,
+      hasNext,
+    };
+  }
+
+  const markDeleted = (deletedBy) => ({ deletedAt: new Date(), deletedBy });
+
+  // Every method takes an options object last; `session` there joins a Database.transaction()
+  const api = {
+    create: async (data, { session } = {}) =>
+      // create() only accepts a session with the array form
+      session
+        ? (await scopedModel().create([withTenant(data)], { session }))[0]
+        : scopedModel().create(withTenant(data)),
+    findAll: async (filters = {}, queryOptions) => findMany(live(filters), queryOptions),
+    findCursor,
+    findOne: async (filters = {}, queryOptions) => applyQueryOptions(scopedModel().findOne(live(filters)), queryOptions),
+    findById: async (id, queryOptions) => applyQueryOptions(scopedModel().findOne(live({ _id: id })), queryOptions),
+    updateById: async (id, data, { session } = {}) =>
+      scopedModel().findOneAndUpdate(live({ _id: id }), data, { new: true, session }),
+    deleteById: async (id, { session } = {}) => scopedModel().findOneAndDelete(scope({ _id: id }), { session }),
+
+    createMany: async (docs, { session, ordered = true } = {}) =>
+      scopedModel().insertMany(docs.map(withTenant), { session, ordered }),
+    updateMany: async (filters, data, { session } = {}) =>
+      scopedModel().updateMany(live(filters), data, { session }),
+    deleteMany: async (filters, { session } = {}) => scopedModel().deleteMany(scope(filters), { session }),
+    // update the match or insert `data` merged with the equality fields of `filters`
+    upsert: async (filters, data, { session } = {}) =>
+      scopedModel().findOneAndUpdate(live(filters), data, { new: true, upsert: true, setDefaultsOnInsert: true, session }),
+    bulkWrite: async (operations, { session, ordered = true } = {}) =>
+      scopedModel().bulkWrite(
+        tenancy?.mode === "field" ? operations.map((operation) => scopeOperation(operation, scope, withTenant)) : operations,
+        { session, ordered }
+      ),
+
+    raw: model, // expose raw mongoose model (default connection, no tenant filter)
+  };
+
+  if (softDelete) {
+    Object.assign(api, {
+      // mark instead of remove; resolves to null when already deleted or missing
+      deleteById: async (id, { deletedBy = null, session } = {}) =>
+        scopedModel().findOneAndUpdate(live({ _id: id }), markDeleted(deletedBy), { new: true, session }),
+      deleteMany: async (filters, { deletedBy = null, session } = {}) =>
+        scopedModel().updateMany(live(filters), markDeleted(deletedBy), { session }),
+      restoreById: async (id, { session } = {}) =>
+        scopedModel().findOneAndUpdate(
+          scope({ _id: id, deletedAt: { $ne: null } }),
+          { deletedAt: null, deletedBy: null },
+          { new: true, session }
+        ),
+      findDeleted: async (filters = {}, queryOptions) =>
+        findMany(scope({ ...filters, deletedAt: { $ne: null } }), queryOptions),
+      // hard delete, whether or not the document was soft-deleted first
+      purgeById: async (id, { session } = {}) => scopedModel().findOneAndDelete(scope({ _id: id }), { session }),
+    });
+  }
+
+  if (search || geo) {
+    const limitOf = (limit) => toLimit(limit, maxLimit);
+    Object.assign(api, searchApi({ model: scopedModel, live, findMany, toLimit: limitOf, search, geo }));
+  }
+
+  const tenantOf = () => (tenancy ? currentTenant() : undefined);
+
+  if (audit) {
+    const log = AuditLog(modelName, { ...(audit === true ? {} : audit), tenantOf });
+    Object.assign(api, auditedApi(api, { model: scopedModel, log, live, scope, softDelete, tenantOf }));
+  }
+
+  // last, so it also sees the audited write methods
+  if (cache) {
+    Object.assign(api, cachedApi(api, { model: scopedModel, name: modelName, tenantOf, encrypted, ...(cache === true ? {} : cache) }));
+  }
+
+  registry.set(modelName, api);
+
+  // Return the object directly, no need to call a function
+  return api;
+}
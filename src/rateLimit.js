@@ -0,0 +1,121 @@
+import { Cache } from "./cache.js";
+import { TooManyRequests } from "./errors.js";
+import { getLogger } from "./logger.js";
+
+let limiterCount = 0;
+
+/**
+ * Fixed window: at most `max` hits per `windowMs`, counted with the store's atomic
+ * increment on one key per window (windows are aligned to the clock)
+ */
+async function fixedWindow(store, key, namespace, now, { windowMs, max }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const count = await store.increment(`${key}:${windowStart}`, Math.ceil(windowMs / 1000), namespace);
+  return {
+    allowed: count <= max,
+    remaining: Math.max(0, max - count),
+    resetMs: windowStart + windowMs - now,
+  };
+}
+
+/**
+ * Token bucket: bursts up to `max`, refilled continuously at `max` per `windowMs`.
+ * Read and write happen inside the store's atomic update().
+ */
+async function tokenBucket(store, key, namespace, now, options) {
+  return store.update(
+    key,
+    (state) => {
+      const result = refill(state, now, options);
+      return { ...result, value: result.state, ttl: Math.max(1, Math.ceil(result.ttlMs / 1000)) };
+    },
+    namespace
+  );
+}
+
+function refill(state, now, { windowMs, max }) {
+  const rate = max / windowMs; // tokens per ms
+  const tokens = state ? Math.min(max, state.tokens + (now - state.updatedAt) * rate) : max;
+  const allowed = tokens >= 1;
+  state = { tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+  return {
+    state,
+    allowed,
+    remaining: Math.floor(state.tokens),
+    // blocked: time until the next token; allowed: time until the bucket is full again
+    resetMs: allowed ? (max - state.tokens) / rate : (1 - state.tokens) / rate,
+    ttlMs: (max - state.tokens) / rate,
+  };
+}
+
+const STRATEGIES = {
+  "fixed-window": { run: fixedWindow, method: "increment", signature: "increment(key, ttlSeconds, namespace)" },
+  "token-bucket": { run: tokenBucket, method: "update", signature: "update(key, fn, namespace)" },
+};
+
+function resolveKey(keyBy, req) {
+  if (typeof keyBy === "function") return keyBy(req);
+  if (keyBy === "user") return req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Rate limiting middleware
+ * @param {object} [options]
+ * @param {number} [options.windowMs] - window length, or bucket refill period
+ * @param {number} [options.max] - hits allowed per window, or bucket capacity
+ * @param {"fixed-window"|"token-bucket"} [options.strategy]
+ * @param {"ip"|"user"|((req) => string)} [options.keyBy] - "user" uses req.user.id, falling back to the ip;
+ * mount the limiter after the auth middleware that sets req.user
+ * @param {object} [options.store] - store with atomic increment() (fixed-window) or update() (token-bucket),
+ * sync or async; defaults to an in-process Cache
+ * @param {string} [options.prefix] - key prefix, separates limiters sharing a store
+ * @param {(req) => boolean} [options.skip] - bypass the limiter for some requests
+ * @param {string} [options.message]
+ * @returns {import("express").RequestHandler}
+ */
+export function rateLimit({
+  windowMs = 60000,
+  max = 100,
+  strategy = "fixed-window",
+  keyBy = "ip",
+  store = new Cache({ stdTTL: 0, checkperiod: 60 }),
+  prefix = `limiter${++limiterCount}`,
+  skip,
+  message = "Too many requests, please try again later",
+} = {}) {
+  if (!STRATEGIES[strategy]) throw new Error(`Unknown rate limit strategy: ${strategy}`);
+  const { run, method, signature } = STRATEGIES[strategy];
+  // a get-then-set store would let concurrent requests overwrite each other's counts
+  if (typeof store[method] !== "function") {
+    throw new Error(`The ${strategy} rate limit store needs an atomic ${signature}`);
+  }
+  const namespace = `ratelimit:${prefix}`;
+  const policy = `${max};w=${Math.ceil(windowMs / 1000)}`;
+
+  return async (req, res, next) => {
+    if (skip?.(req)) return next();
+
+    let result;
+    try {
+      const key = resolveKey(keyBy, req);
+      result = await run(store, key, namespace, Date.now(), { windowMs, max });
+    } catch (err) {
+      // a broken store should not take the API down with it
+      getLogger("RateLimit").error("Store error", { err });
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil(result.resetMs / 1000));
+    res.setHeader("RateLimit-Policy", policy);
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", result.remaining);
+    res.setHeader("RateLimit-Reset", resetSeconds);
+
+    if (!result.allowed) {
+      res.setHeader("Retry-After", resetSeconds);
+      return next(new TooManyRequests(message, { code: "RATE_LIMITED", details: { retryAfter: resetSeconds } }));
+    }
+    next();
+  };
+}
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { getLogger } from "./logger.js";
+
+// accept upstream ids (load balancer, gateway) only if they look like ids
+const SAFE_ID = /^[\w.:-]{1,128}$/;
+
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === "function") return 0;
+  if (typeof chunk === "string") {
+    return Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+  }
+  return chunk.length;
+}
+
+function levelFor(status) {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warn";
+  return "info";
+}
+
+/**
+ * Assign/propagate a request id, attach req.log and emit one access-log
+ * line per request
+ * @param {{ header?: string, accessLog?: boolean }} [options]
+ * @returns {import("express").RequestHandler}
+ */
+export function requestLogger({ header = "X-Request-Id", accessLog = true } = {}) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const log = getLogger("Server");
+    const incoming = req.get(header);
+
+    req.id = incoming && SAFE_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = typeof log.child === "function" ? log.child({ requestId: req.id }) : log;
+    res.setHeader(header, req.id);
+
+    if (!accessLog) return next();
+
+    let bytes = 0;
+    const { write, end } = res;
+    res.write = function (chunk, encoding, callback) {
+      bytes += byteLength(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      bytes += byteLength(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    // "close" fires for finished and aborted responses alike
+    res.once("close", () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const fields = {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 100) / 100,
+        size: bytes,
+      };
+      if (!res.writableFinished) {
+        req.log.warn("request aborted", fields);
+        return;
+      }
+      req.log[levelFor(res.statusCode)](`${req.method} ${req.originalUrl} ${res.statusCode}`, fields);
+    });
+    next();
+  };
+}
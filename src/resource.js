@@ -0,0 +1,170 @@
+import { Router } from "express";
+import { BadRequest, NotFound } from "./errors.js";
+import { validate } from "./validate.js";
+
+const OPERATIONS = ["list", "get", "create", "update", "delete"];
+const RESERVED_PARAMS = ["page", "limit", "sort", "select"];
+const SYSTEM_FIELDS = ["_id", "createdAt", "updatedAt", "deletedAt", "deletedBy", "tenantId"];
+const FILTER_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin"];
+
+// `select: false` fields (password hashes) and encrypted ones stay out of the defaults,
+// together with the object they are nested in
+function topLevelPaths(schema) {
+  const paths = Object.entries(schema.paths);
+  const hidden = new Set(
+    paths
+      .filter(([, schemaType]) => schemaType.options?.select === false || schemaType.options?.encrypted)
+      .map(([p]) => p.split(".")[0])
+  );
+  return [...new Set(paths.map(([p]) => p.split(".")[0]))].filter((p) => !SYSTEM_FIELDS.includes(p) && !hidden.has(p));
+}
+
+/**
+ * ?select=title,-body -> "title -body"; only `selectable` fields, and never "+field",
+ * which would force `select: false` fields into the response
+ */
+function parseSelect(select, selectable) {
+  if (select === undefined) return undefined;
+  const fields = String(select).split(/[\s,]+/).filter(Boolean);
+  const invalid = fields.filter((field) => !selectable.includes(field.replace(/^-/, "").split(".")[0]));
+  // mongoose allows "-_id" next to included fields, nothing else
+  const excluding = fields.filter((field) => field.startsWith("-") && field !== "-_id");
+  if (invalid.length) {
+    throw new BadRequest(`Cannot select: ${invalid.join(", ")}`, { code: "INVALID_SELECT" });
+  }
+  if (excluding.length && excluding.length !== fields.filter((field) => field !== "-_id").length) {
+    throw new BadRequest("Cannot mix included and excluded fields in select", { code: "INVALID_SELECT" });
+  }
+  return fields.join(" ");
+}
+
+/**
+ * ?sort=-price,title -> "-price title"; only `sortable` fields, so ordering cannot
+ * reveal anything about hidden or encrypted ones
+ */
+function parseSort(sort, sortable) {
+  if (sort === undefined) return undefined;
+  const fields = String(sort).split(/[\s,]+/).filter(Boolean);
+  const invalid = fields.filter((field) => !sortable.includes(field.replace(/^-/, "").split(".")[0]));
+  if (invalid.length) {
+    throw new BadRequest(`Cannot sort by: ${invalid.join(", ")}`, { code: "INVALID_SORT" });
+  }
+  return fields.join(" ");
+}
+
+function pick(source = {}, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) result[field] = source[field];
+  }
+  return result;
+}
+
+/**
+ * ?status=active&price[gte]=10&tags[in]=a,b -> { status: "active", price: { $gte: "10" }, tags: { $in: ["a", "b"] } }
+ * Only `filterable` fields are honoured; mongoose casts the values by schema type.
+ */
+function parseFilters(query, filterable) {
+  const filters = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+    const match = /^([\w.]+)(?:\[(\w+)\])?$/.exec(key);
+    if (!match) continue;
+    const [, field, op = "eq"] = match;
+    if (!filterable.includes(field.split(".")[0]) || !FILTER_OPERATORS.includes(op)) continue;
+
+    const raw = Array.isArray(value) ? value : String(value);
+    if (op === "eq") {
+      filters[field] = raw;
+    } else {
+      const operand = op === "in" || op === "nin" ? [].concat(raw).flatMap((v) => v.split(",")) : raw;
+      filters[field] = { ...(typeof filters[field] === "object" ? filters[field] : {}), [`$${op}`]: operand };
+    }
+  }
+  return filters;
+}
+
+/**
+ * REST router for a Model() object:
+ *   GET / (list), GET /:id, POST /, PATCH|PUT /:id, DELETE /:id
+ * @param {object} model - object returned by Model()
+ * @param {object} [options]
+ * @param {string[]} [options.only] - operations to expose, default all
+ * @param {string[]} [options.writable] - fields create/update accept, default every schema field
+ * @param {string[]} [options.filterable] - fields list accepts as query filters, default every schema field
+ * @param {string[]} [options.selectable] - fields ?select= and ?sort= may name, default every schema field plus _id and timestamps
+ * (defaults leave out `select: false` and `encrypted` fields)
+ * @param {number} [options.limit] - default page size for list
+ * @param {string} [options.sort] - default sort for list
+ * @param {boolean} [options.validate] - validate bodies against the model schema, default true
+ * @param {{ all?: Function[], list?: Function[], get?: Function[], create?: Function[], update?: Function[], delete?: Function[] }} [options.middleware]
+ * @returns {import("express").Router}
+ */
+export function Resource(model, {
+  only = OPERATIONS,
+  writable,
+  filterable,
+  selectable,
+  limit = 20,
+  sort = "-createdAt",
+  validate: validateBodies = true,
+  middleware = {},
+} = {}) {
+  const router = Router();
+  const schema = model.raw.schema;
+  const name = model.raw.modelName;
+  const writeFields = writable || topLevelPaths(schema);
+  const filterFields = filterable || topLevelPaths(schema);
+  const selectFields = selectable || ["_id", "createdAt", "updatedAt", ...topLevelPaths(schema)];
+
+  const hooks = (op) => [...[].concat(middleware.all || []), ...[].concat(middleware[op] || [])];
+  const bodyCheck = (partial) => (validateBodies ? [validate({ body: model }, { partial })] : []);
+  const found = (item) => {
+    if (!item) throw new NotFound(`${name} not found`);
+    return item;
+  };
+
+  if (only.includes("list")) {
+    router.get("/", ...hooks("list"), async (req, res) => {
+      const result = await model.findAll(parseFilters(req.query, filterFields), {
+        page: req.query.page ?? 1,
+        limit: req.query.limit ?? limit,
+        sort: parseSort(req.query.sort, selectFields) ?? sort,
+        select: parseSelect(req.query.select, selectFields),
+      });
+      res.json({ success: true, ...result });
+    });
+  }
+
+  if (only.includes("get")) {
+    router.get("/:id", ...hooks("get"), async (req, res) => {
+      const item = found(await model.findById(req.params.id, { select: parseSelect(req.query.select, selectFields) }));
+      res.json({ success: true, item });
+    });
+  }
+
+  if (only.includes("create")) {
+    router.post("/", ...hooks("create"), ...bodyCheck(false), async (req, res) => {
+      const item = await model.create(pick(req.body, writeFields));
+      res.status(201).json({ success: true, item });
+    });
+  }
+
+  if (only.includes("update")) {
+    const update = async (req, res) => {
+      const item = found(await model.updateById(req.params.id, pick(req.body, writeFields)));
+      res.json({ success: true, item });
+    };
+    router.patch("/:id", ...hooks("update"), ...bodyCheck(true), update);
+    router.put("/:id", ...hooks("update"), ...bodyCheck(true), update);
+  }
+
+  if (only.includes("delete")) {
+    router.delete("/:id", ...hooks("delete"), async (req, res) => {
+      const item = found(await model.deleteById(req.params.id, { deletedBy: req.user?.id ?? null }));
+      res.json({ success: true, item });
+    });
+  }
+
+  return router;
+}
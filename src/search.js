@@ -0,0 +1,133 @@
+import { BadRequest } from "./errors.js";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * `search` option: ["title", "body"] or { title: 10, body: 2 } (weights), optionally
+ * wrapped as { fields, language }
+ */
+function textOptions(search) {
+  const { fields = search, language } = Array.isArray(search) || !search.fields ? { fields: search } : search;
+  const weights = Array.isArray(fields) ? Object.fromEntries(fields.map((field) => [field, 1])) : fields;
+  return { weights, language };
+}
+
+const geoFields = (geo) => [].concat(geo);
+
+/**
+ * Declare the text and 2dsphere indexes on the schema; mongoose builds them when
+ * the model connects (run `raw.syncIndexes()` when autoIndex is off or fields change)
+ * @param {import("mongoose").Schema} schema
+ * @param {{ search?: any, geo?: string|string[] }} options
+ */
+export function declareSearchIndexes(schema, { search, geo }) {
+  if (search) {
+    const { weights, language } = textOptions(search);
+    const keys = Object.fromEntries(Object.keys(weights).map((field) => [field, "text"]));
+    schema.index(keys, { weights, name: "search_text", ...(language && { default_language: language }) });
+  }
+  for (const field of geo ? geoFields(geo) : []) {
+    schema.index({ [field]: "2dsphere" });
+  }
+}
+
+function toPoint({ lng, lat }) {
+  const coordinates = [Number(lng), Number(lat)];
+  if (coordinates.some((n) => !Number.isFinite(n)) || Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+    throw new BadRequest("Invalid coordinates", { code: "INVALID_COORDINATES" });
+  }
+  return { type: "Point", coordinates };
+}
+
+// GeoJSON Polygon/MultiPolygon as is, or a ring of [lng, lat] pairs (closed automatically)
+function toPolygon(polygon) {
+  if (polygon?.type) return polygon;
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    throw new BadRequest("A polygon needs at least 3 [lng, lat] points", { code: "INVALID_POLYGON" });
+  }
+  const ring = polygon.map(([lng, lat]) => toPoint({ lng, lat }).coordinates);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+  return { type: "Polygon", coordinates: [ring] };
+}
+
+/**
+ * search()/near()/within() for a Model() declared with `search` and/or `geo`
+ * @param {object} context - { model: () => mongoose Model, live, findMany, toLimit, search, geo }
+ */
+export function searchApi({ model, live, findMany, toLimit, search, geo }) {
+  const methods = {};
+
+  if (search) {
+    const { weights, language } = textOptions(search);
+
+    /**
+     * Text search, best matches first. `fields` narrows the match to some of the
+     * indexed fields; `filters` are ordinary query filters.
+     * @returns {Promise<Array<{ item: any, score: number }>>}
+     */
+    methods.search = async (text, { fields, limit, filters = {}, select, lean, session } = {}) => {
+      const query = String(text ?? "").trim();
+      if (!query) return [];
+
+      const conditions = { ...filters, $text: { $search: query, ...(language && { $language: language }) } };
+      if (fields) {
+        const unknown = [].concat(fields).filter((field) => !(field in weights));
+        if (unknown.length) {
+          throw new BadRequest(`Not a search field: ${unknown.join(", ")}`, { code: "INVALID_SEARCH_FIELD" });
+        }
+        const terms = new RegExp(query.split(/\s+/).map(escapeRegex).join("|"), "i");
+        conditions.$or = [].concat(fields).map((field) => ({ [field]: terms }));
+      }
+
+      const found = model()
+        .find(live(conditions))
+        .select({ ...(typeof select === "object" ? select : {}), score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(toLimit(limit))
+        .session(session ?? null);
+      if (typeof select === "string") found.select(select.replace(/,/g, " "));
+      const docs = await found.lean();
+
+      return docs.map(({ score, ...doc }) => ({ item: lean ? doc : model().hydrate(doc), score }));
+    };
+  }
+
+  if (geo) {
+    const [defaultField] = geoFields(geo);
+
+    /**
+     * Documents closest to a point, nearest first, with their distance in meters
+     * @returns {Promise<Array<{ item: any, distance: number }>>}
+     */
+    methods.near = async (point, { maxDistance, minDistance, limit, filters = {}, field = defaultField, lean, session } = {}) => {
+      const docs = await model()
+        .aggregate([
+          {
+            $geoNear: {
+              near: toPoint(point),
+              key: field,
+              distanceField: "__distance",
+              spherical: true,
+              // pipelines are not cast by mongoose, so cast the filter the way find() would
+              query: model().where(live(filters)).cast(model()),
+              ...(maxDistance !== undefined && { maxDistance: Number(maxDistance) }),
+              ...(minDistance !== undefined && { minDistance: Number(minDistance) }),
+            },
+          },
+          { $limit: toLimit(limit) },
+        ])
+        .session(session ?? null);
+
+      return docs.map(({ __distance: distance, ...doc }) => ({ item: lean ? doc : model().hydrate(doc), distance }));
+    };
+
+    /**
+     * Documents inside a polygon; takes the same query options as findAll (page, limit, sort, ...)
+     */
+    methods.within = async (polygon, { filters = {}, field = defaultField, ...queryOptions } = {}) =>
+      findMany(live({ ...filters, [field]: { $geoWithin: { $geometry: toPolygon(polygon) } } }), queryOptions);
+  }
+
+  return methods;
+}
@@ -0,0 +1,83 @@
+export const DEFAULT_CSP_DIRECTIVES = {
+  "default-src": ["'self'"],
+  "base-uri": ["'self'"],
+  "font-src": ["'self'", "https:", "data:"],
+  "img-src": ["'self'", "https:", "data:"],
+  "object-src": ["'none'"],
+  "script-src": ["'self'"],
+  "style-src": ["'self'", "https:", "'unsafe-inline'"],
+  "frame-ancestors": ["'self'"],
+};
+
+// defaultSrc -> default-src
+function kebab(name) {
+  return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+function contentSecurityPolicy({ directives = {}, useDefaults = true, reportOnly = false } = {}) {
+  const merged = useDefaults ? { ...DEFAULT_CSP_DIRECTIVES } : {};
+  for (const [name, value] of Object.entries(directives)) {
+    // null/false removes a default directive
+    if (value === null || value === false) delete merged[kebab(name)];
+    else merged[kebab(name)] = value;
+  }
+  const policy = Object.entries(merged)
+    .map(([name, value]) => (value === true ? name : `${name} ${[].concat(value).join(" ")}`))
+    .join("; ");
+  return [reportOnly ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy", policy];
+}
+
+function strictTransportSecurity({ maxAge = 15552000, includeSubDomains = true, preload = false } = {}) {
+  let value = `max-age=${maxAge}`;
+  if (includeSubDomains) value += "; includeSubDomains";
+  if (preload) value += "; preload";
+  return ["Strict-Transport-Security", value];
+}
+
+// { camera: [], geolocation: ["self", "https://maps.example.com"] } -> camera=(), geolocation=(self "https://maps.example.com")
+function permissionsPolicy(features) {
+  const value = Object.entries(features)
+    .map(([feature, allowList]) => {
+      const origins = [].concat(allowList).map((o) => (o === "self" || o === "*" ? o : `"${o}"`));
+      return `${kebab(feature)}=(${origins.join(" ")})`;
+    })
+    .join(", ");
+  return ["Permissions-Policy", value];
+}
+
+/**
+ * Resolve the security header options into a fixed list of [name, value]
+ * pairs; set any option to false to leave that header out
+ * @param {object} [options]
+ * @returns {Array<[string, string]>}
+ */
+export function buildSecurityHeaders({
+  contentSecurityPolicy: csp = {},
+  hsts = {},
+  frameOptions = "SAMEORIGIN",
+  referrerPolicy = "no-referrer",
+  permissionsPolicy: permissions = {},
+  noSniff = true,
+} = {}) {
+  const headers = [];
+  if (csp !== false) headers.push(contentSecurityPolicy(csp === true ? {} : csp));
+  if (hsts !== false) headers.push(strictTransportSecurity(hsts === true ? {} : hsts));
+  if (frameOptions) headers.push(["X-Frame-Options", frameOptions]);
+  if (referrerPolicy) headers.push(["Referrer-Policy", [].concat(referrerPolicy).join(", ")]);
+  if (permissions && Object.keys(permissions).length) headers.push(permissionsPolicy(permissions));
+  if (noSniff) headers.push(["X-Content-Type-Options", "nosniff"]);
+  return headers;
+}
+
+/**
+ * Middleware setting the headers from buildSecurityHeaders()
+ * @param {object} [options]
+ * @returns {import("express").RequestHandler}
+ */
+export function securityHeaders(options) {
+  const headers = buildSecurityHeaders(options);
+  return (req, res, next) => {
+    for (const [name, value] of headers) res.setHeader(name, value);
+    next();
+  };
+}
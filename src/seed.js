@@ -0,0 +1,213 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import mongoose from "mongoose";
+import { getModel } from "./model.js";
+import { getLogger } from "./logger.js";
+
+const FIXTURE_FILE = /\.(json|m?js)$/;
+const SKIPPED_PATHS = ["_id", "createdAt", "updatedAt", "deletedAt", "deletedBy"];
+const BATCH_SIZE = 1000;
+const WORDS = ["alpha", "bravo", "charlie", "delta", "echo", "foxtrot", "golf", "hotel", "india", "juliet", "kilo", "lima"];
+
+async function loadDir(dir) {
+  const fixtures = {};
+  const files = (await fs.promises.readdir(dir)).filter((file) => FIXTURE_FILE.test(file)).sort();
+  for (const file of files) {
+    const fullPath = path.resolve(dir, file);
+    const name = file.replace(FIXTURE_FILE, "");
+    if (file.endsWith(".json")) {
+      fixtures[name] = JSON.parse(await fs.promises.readFile(fullPath, "utf8"));
+    } else {
+      const { default: value } = await import(pathToFileURL(fullPath).href);
+      fixtures[name] = typeof value === "function" ? await value() : value;
+    }
+  }
+  return fixtures;
+}
+
+function modelFor(name) {
+  const model = getModel(name);
+  if (!model) throw new Error(`No Model() registered as "${name}"; import its module before seeding`);
+  return model;
+}
+
+// [symbolic name | null, document] pairs from an array or a { name: document } map
+function entries(fixtures) {
+  return Array.isArray(fixtures) ? fixtures.map((doc) => [null, doc]) : Object.entries(fixtures);
+}
+
+/**
+ * "@alice" or "@User.alice" -> the _id of that fixture; "@@text" -> "@text"
+ */
+function resolveRefs(value, ids) {
+  if (typeof value === "string" && value.startsWith("@")) {
+    if (value.startsWith("@@")) return value.slice(1);
+    const ref = value.slice(1);
+    if (!ids.has(ref)) throw new Error(`Unknown fixture reference "${value}"`);
+    return ids.get(ref);
+  }
+  if (Array.isArray(value)) return value.map((item) => resolveRefs(item, ids));
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveRefs(item, ids)]));
+  }
+  return value;
+}
+
+const random = (n) => crypto.randomInt(n);
+const pickOne = (list) => list[random(list.length)];
+
+function setPath(doc, dotted, value) {
+  const keys = dotted.split(".");
+  let target = doc;
+  for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+  target[keys[keys.length - 1]] = value;
+}
+
+function fakeString(pathName, options, i, enumValues = []) {
+  if (enumValues.length) return pickOne(enumValues);
+  const name = pathName.toLowerCase();
+  let value;
+  if (name.includes("email")) value = `user${i}.${random(1e6)}@example.com`;
+  else if (name.includes("url")) value = `https://example.com/${pathName}/${i}`;
+  else if (name.includes("phone")) value = `+1555${String(random(1e7)).padStart(7, "0")}`;
+  else if (name.includes("name") || name.includes("title")) value = `${pickOne(WORDS)} ${pickOne(WORDS)} ${i}`;
+  else value = `${pathName}-${i}-${random(1e6).toString(36)}`;
+  if (options.lowercase) value = value.toLowerCase();
+  if (options.uppercase) value = value.toUpperCase();
+  if (options.minlength && value.length < options.minlength) value = value.padEnd(options.minlength, "x");
+  if (options.maxlength) value = value.slice(0, options.maxlength);
+  return value;
+}
+
+function fakeNumber(options) {
+  const min = Array.isArray(options.min) ? options.min[0] : options.min ?? 0;
+  const max = Array.isArray(options.max) ? options.max[0] : options.max ?? min + 1000;
+  return min + random(Math.max(1, Math.floor(max - min) + 1));
+}
+
+function fakeValue(schemaType, pathName, i, refIds) {
+  const options = schemaType.options || {};
+  switch (schemaType.instance) {
+    case "String":
+      return fakeString(pathName, options, i, schemaType.enumValues);
+    case "Number":
+      return fakeNumber(options);
+    case "Boolean":
+      return random(2) === 1;
+    case "Date":
+      return new Date(Date.now() - random(365 * 24 * 3600) * 1000);
+    case "ObjectId":
+    case "ObjectID": {
+      const ids = options.ref && refIds.get(typeof options.ref === "function" ? options.ref().modelName : options.ref);
+      return ids?.length ? pickOne(ids) : undefined;
+    }
+    case "Array": {
+      const caster = schemaType.caster;
+      if (!caster || schemaType.schema) return [];
+      return Array.from({ length: 1 + random(3) }, () => fakeValue(caster, pathName, i, refIds)).filter(
+        (item) => item !== undefined
+      );
+    }
+    default:
+      return undefined; // Mixed, Map, Buffer, ... have no sensible fake value
+  }
+}
+
+/**
+ * Random documents shaped by a Model()'s schema; ref fields point at existing documents
+ * @param {object} model - object returned by Model()
+ * @param {number} count
+ * @param {{ offset?: number }} [options] - index the generated values start from
+ * @returns {Promise<object[]>}
+ */
+export async function fakeDocuments(model, count, { offset = 0 } = {}) {
+  const schema = model.raw.schema;
+  const refIds = new Map();
+  for (const schemaType of Object.values(schema.paths)) {
+    const ref = schemaType.options?.ref ?? schemaType.caster?.options?.ref;
+    const refName = typeof ref === "function" ? ref().modelName : ref;
+    if (refName && !refIds.has(refName)) {
+      const refModel = mongoose.models[refName];
+      const existing = refModel ? await refModel.find({}, { _id: 1 }).limit(BATCH_SIZE).lean() : [];
+      refIds.set(refName, existing.map((doc) => doc._id));
+    }
+  }
+
+  return Array.from({ length: count }, (_, n) => {
+    const i = offset + n + 1;
+    const doc = {};
+    for (const [pathName, schemaType] of Object.entries(schema.paths)) {
+      if (SKIPPED_PATHS.includes(pathName) || pathName.includes("$")) continue;
+      const value = fakeValue(schemaType, pathName, i, refIds);
+      if (value !== undefined) setPath(doc, pathName, value);
+    }
+    return doc;
+  });
+}
+
+/**
+ * Load fixtures into Model() collections.
+ * `source` is a directory of <ModelName>.json / .js files (a .js default export may be a
+ * function) or an object keyed by model name. Each model takes an array of documents,
+ * a { symbolicName: document } map whose names other fixtures reference as "@name"
+ * or "@Model.name", or a number of documents to generate from the schema.
+ * @param {string|object} source
+ * @param {{ reset?: boolean|string[] }} [options] - empty the seeded collections (or the listed models) first
+ * @returns {Promise<{ inserted: Record<string, number>, ids: Record<string, any> }>}
+ */
+export async function seed(source, { reset = false } = {}) {
+  const fixtures = typeof source === "string" ? await loadDir(source) : source;
+  const names = Object.keys(fixtures);
+  const models = new Map(names.map((name) => [name, modelFor(name)]));
+
+  if (reset) {
+    for (const name of Array.isArray(reset) ? reset : names) {
+      await modelFor(name).raw.deleteMany({});
+      getLogger("Seed").info(`Reset ${name}`);
+    }
+  }
+
+  // give every named fixture its _id up front so references work in any order
+  const ids = new Map();
+  const prepared = new Map();
+  for (const [name, value] of Object.entries(fixtures)) {
+    if (typeof value === "number") continue;
+    const docs = entries(value || []).map(([key, doc]) => {
+      const withId = { ...doc };
+      if (key !== null) {
+        withId._id ??= new mongoose.Types.ObjectId();
+        ids.set(key, withId._id);
+        ids.set(`${name}.${key}`, withId._id);
+      }
+      return withId;
+    });
+    prepared.set(name, docs);
+  }
+
+  const inserted = {};
+  for (const [name, docs] of prepared) {
+    const resolved = docs.map((doc) => resolveRefs(doc, ids));
+    if (resolved.length) await models.get(name).createMany(resolved);
+    inserted[name] = resolved.length;
+  }
+
+  // generated data last, so its refs can point at the fixtures above
+  for (const [name, count] of Object.entries(fixtures)) {
+    if (typeof count !== "number") continue;
+    const model = models.get(name);
+    inserted[name] = 0;
+    for (let offset = 0; offset < count; offset += BATCH_SIZE) {
+      const batch = await fakeDocuments(model, Math.min(BATCH_SIZE, count - offset), { offset });
+      // unordered inserts skip documents that fail validation instead of throwing
+      inserted[name] += (await model.createMany(batch, { ordered: false })).length;
+    }
+    if (inserted[name] < count) {
+      getLogger("Seed").warn(`${count - inserted[name]} generated ${name} documents failed validation`);
+    }
+  }
+
+  getLogger("Seed").info("Seeded", inserted);
+  return { inserted, ids: Object.fromEntries(ids) };
+}
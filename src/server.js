@@ -1,43 +1,402 @@
 import express from "express";
-import cors from "cors";
 import cookieParser from "cookie-parser";
+import mongoose from "mongoose";
+import { errorHandler, notFoundHandler } from "./errors.js";
+import { rateLimit } from "./rateLimit.js";
+import { securityHeaders } from "./securityHeaders.js";
+import { corsPolicy, routeCors } from "./cors.js";
+import { getLogger } from "./logger.js";
+import { requestLogger } from "./requestLogger.js";
+import { requestContext } from "./context.js";
+import { resolveTenant } from "./tenant.js";
+import { Metrics } from "./metrics.js";
+import { upload } from "./upload.js";
+
+// mongoose.connection.readyState
+const DB_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const SHUTDOWN_SIGNALS = ["SIGTERM", "SIGINT"];
+
+// "public" or { dir: "public", route: "/assets", maxAge: "1d", immutable: true }
+function normalizeStatic(entry) {
+  return typeof entry === "string" ? { dir: entry } : entry;
+}
+
+// uploaded files are user content: download them instead of rendering them as pages of this origin
+function setUploadHeaders(res) {
+  res.setHeader("Content-Disposition", "attachment");
+  res.setHeader("Content-Security-Policy", "sandbox; default-src 'none'");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+}
 
 export class Server {
-  constructor(port) {
+  /**
+   * @param {number} port
+   * @param {object} [options]
+   * @param {string|number|{ json?: string|number, urlencoded?: string|number }} [options.bodyLimit]
+   * @param {false|string|object|Array<string|object>} [options.static] - directories served statically
+   * @param {boolean|number|string|string[]|Function} [options.trustProxy] - express "trust proxy" setting
+   * @param {false|object} [options.securityHeaders] - see buildSecurityHeaders()
+   * @param {boolean|{ dir?: string, route?: string, maxAge?: number|string }} [options.uploads] - where
+   * upload() stores files and the route they are served from; off by default, true for the defaults
+   * @param {boolean} [options.accessLog] - log one line per request, default true
+   * @param {string} [options.requestIdHeader] - default "X-Request-Id"
+   */
+  constructor(port, options = {}) {
+    const {
+      bodyLimit = "10mb",
+      static: staticDirs = "public",
+      trustProxy,
+      securityHeaders: headerOptions = {},
+      uploads = false,
+      accessLog = true,
+      requestIdHeader = "X-Request-Id",
+    } = options;
+
     this.port = port;
+    this.options = options;
     this.server = express();
-    this.server.use(express.json({ limit: "10gb" }));
-    this.server.use(express.urlencoded({ extended: true, limit: "10gb" }));
-    this.server.use(express.static("public"));
+    this.httpServer = null; // http.Server returned by listen()
+    this.activeResponses = new Set();
+    this.hooks = { start: [], shutdown: [] };
+    this.signalHandlers = new Map();
+    this.readinessChecks = new Map();
+    this.metrics = null;
+    this.uploads = null;
+    this.stopping = false;
+
+    if (trustProxy !== undefined) this.server.set("trust proxy", trustProxy);
+    this.server.use(requestLogger({ header: requestIdHeader, accessLog }));
+
+    const limits = typeof bodyLimit === "object" ? bodyLimit : { json: bodyLimit, urlencoded: bodyLimit };
+    // req.rawBody keeps the exact bytes for signature checks (verifyWebhook)
+    this.server.use(express.json({ limit: limits.json, verify: (req, res, buf) => (req.rawBody = buf) }));
+    this.server.use(express.urlencoded({ extended: true, limit: limits.urlencoded }));
+
+    if (headerOptions !== false) this.server.use(securityHeaders(headerOptions));
+
+    for (const entry of staticDirs ? [].concat(staticDirs) : []) {
+      const { dir, route = "/", ...serveOptions } = normalizeStatic(entry);
+      this.server.use(route, express.static(dir, serveOptions));
+    }
+    if (uploads) {
+      const { dir = "uploads", route = "/uploads", setHeaders, ...serveOptions } = uploads === true ? {} : uploads;
+      this.uploads = { dir, route };
+      // user-provided content: no directory index, no dotfiles, never served inline
+      this.server.use(
+        route,
+        express.static(dir, {
+          index: false,
+          dotfiles: "deny",
+          ...serveOptions,
+          setHeaders: (res, filePath, stat) => {
+            setUploadHeaders(res);
+            setHeaders?.(res, filePath, stat);
+          },
+        })
+      );
+    }
     this.server.use(cookieParser());
-    this.server.use((req, res, next) => {
-      res.setHeader("Content-Security-Policy", "default-src 'self'");
-      res.setHeader("X-Content-Type-Options", "nosniff");
-      next();
-    });
+    // getContext() for models and services; after the body parsers, whose stream events drop it
+    this.server.use(requestContext());
+
+    // Routers keep app middleware and routes ahead of the final handlers
+    // no matter when connectFrontend()/Route() are called
+    this.middleware = express.Router();
+    this.routes = express.Router();
+    this.server.use(this.middleware);
+    this.server.use(this.routes);
+    this.server.use(notFoundHandler);
+    this.server.use(errorHandler);
   }
 
-  connectFrontend(frontendUrl) {
-    if (!frontendUrl) {
-      console.error("Please provide a frontend url");
+  get log() {
+    return getLogger("Server");
+  }
+
+  /**
+   * Enable CORS for one or more frontends
+   * @param {string|RegExp|Function|Array<string|RegExp|Function>} frontendUrl - exact origins,
+   * "*.example.com" wildcards, regexes or (origin, req) => boolean predicates
+   * @param {object} [options] - credentials, methods, allowedHeaders, exposedHeaders, maxAge,
+   * and `routes`: { [path]: { origin, ...options } } overrides
+   */
+  connectFrontend(frontendUrl, { routes = {}, ...options } = {}) {
+    if (!frontendUrl || (Array.isArray(frontendUrl) && !frontendUrl.length)) {
+      this.log.error("Please provide a frontend url");
       return;
     }
-    this.server.use(
-      cors({
-        origin: frontendUrl,
-        credentials: true,
-      })
-    );
-    console.log(`Frontend allowed: ${frontendUrl}`);
+
+    const policies = [["*", corsPolicy(frontendUrl, options)]];
+    for (const [route, { origin = frontendUrl, ...override }] of Object.entries(routes)) {
+      policies.push([route, corsPolicy(origin, { ...options, ...override })]);
+    }
+    for (const [route, { warnings }] of policies) {
+      for (const warning of warnings) {
+        this.log.warn(`CORS misconfiguration${route === "*" ? "" : ` on ${route}`}: ${warning}`);
+      }
+    }
+
+    const [, fallback] = policies.shift();
+    const routePolicies = policies
+      .sort(([a], [b]) => b.length - a.length)
+      .map(([route, policy]) => [route, policy.middleware]);
+    this.middleware.use(routeCors(routePolicies, fallback.middleware));
+
+    this.log.info(`Frontend allowed: ${[].concat(frontendUrl).join(", ")}`);
+  }
+
+  /**
+   * Limit request rates, for the whole app or only for `routes`
+   * (each route gets its own counters)
+   * @param {object} [options] - see rateLimit(); `routes` is a path or list of paths
+   * @returns {Server}
+   * @throws {Error} for keyBy "user": these limiters run before route-level auth, so
+   * req.user is never set; use rateLimit() after requireAuth() on the routes instead
+   */
+  rateLimit({ routes, ...options } = {}) {
+    if (options.keyBy === "user") {
+      throw new Error('Server.rateLimit() runs before route auth; mount rateLimit({ keyBy: "user" }) after requireAuth()');
+    }
+    if (!routes) {
+      this.middleware.use(rateLimit(options));
+      return this;
+    }
+    for (const route of [].concat(routes)) {
+      this.middleware.use(route, rateLimit({ prefix: route, ...options }));
+    }
+    return this;
+  }
+
+  /**
+   * Resolve the tenant of each request for Model()s with the `tenant` option
+   * @param {object} [options] - see resolveTenant()
+   * @returns {Server}
+   */
+  tenancy(options = {}) {
+    this.middleware.use(resolveTenant(options));
+    return this;
+  }
+
+  /**
+   * upload() middleware storing into this server's uploads directory, with
+   * req.files[].url pointing at the uploads route
+   * @param {object} [options] - see upload()
+   * @returns {import("express").RequestHandler}
+   */
+  upload(options = {}) {
+    if (!this.uploads) throw new Error("Uploads are disabled, pass the uploads option to Server");
+    return upload({ destination: this.uploads.dir, publicPath: this.uploads.route, ...options });
+  }
+
+  /**
+   * Register a readiness check; it fails by returning false or throwing
+   * @param {string} name
+   * @param {() => boolean|Promise<boolean>} fn
+   * @returns {Server}
+   */
+  addReadinessCheck(name, fn) {
+    this.readinessChecks.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Mount liveness, readiness and Prometheus metrics endpoints
+   * @param {object} [options]
+   * @param {string} [options.healthPath]
+   * @param {string} [options.readyPath]
+   * @param {string|false} [options.metricsPath] - false disables metrics
+   * @param {Record<string, Function>} [options.checks] - extra readiness checks
+   * @param {Record<string, import("./cache.js").Cache>} [options.caches] - caches to report hit/miss stats for
+   * @param {boolean|import("./database.js").Database} [options.database] - include the database
+   * connection in readiness, default true (the default mongoose connection)
+   * @param {number} [options.checkTimeout] - ms before a readiness check counts as failed
+   * @param {number[]} [options.buckets] - latency histogram buckets in seconds
+   * @returns {Server}
+   */
+  enableHealth({
+    healthPath = "/healthz",
+    readyPath = "/readyz",
+    metricsPath = "/metrics",
+    checks = {},
+    caches = {},
+    database = true,
+    checkTimeout = 2000,
+    buckets,
+  } = {}) {
+    for (const [name, fn] of Object.entries(checks)) this.addReadinessCheck(name, fn);
+    if (database && !this.readinessChecks.has("database")) {
+      this.readinessChecks.set("database", () => {
+        const state =
+          typeof database.status === "function"
+            ? database.status().state
+            : DB_STATES[mongoose.connection.readyState] || "unknown";
+        if (state !== "connected") throw new Error(`database ${state}`);
+        return true;
+      });
+    }
+
+    this.middleware.get(healthPath, (req, res) => {
+      res.json({ status: "ok", uptime: process.uptime() });
+    });
+
+    this.middleware.get(readyPath, async (req, res) => {
+      const results = {};
+      let ready = !this.stopping;
+      for (const [name, fn] of this.readinessChecks) {
+        try {
+          const ok = (await withTimeout(Promise.resolve(fn()), checkTimeout, name)) !== false;
+          results[name] = { ok };
+          ready &&= ok;
+        } catch (err) {
+          results[name] = { ok: false, error: err.message };
+          ready = false;
+        }
+      }
+      res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : this.stopping ? "stopping" : "not ready",
+        checks: results,
+      });
+    });
+
+    if (metricsPath) {
+      this.metrics = new Metrics({ buckets });
+      for (const [name, cache] of Object.entries(caches)) this.metrics.trackCache(name, cache);
+      this.middleware.use(this.metrics.middleware());
+      this.middleware.get(metricsPath, (req, res) => {
+        res.type("text/plain; version=0.0.4").send(this.metrics.render());
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Register a hook that runs once the server is listening
+   * @param {(server: Server) => any} fn
+   * @returns {Server}
+   */
+  onStart(fn) {
+    this.hooks.start.push(fn);
+    return this;
+  }
+
+  /**
+   * Register a hook that runs during Stop(), after connections are drained
+   * and before the database connection is closed
+   * @param {(server: Server) => any} fn
+   * @returns {Server}
+   */
+  onShutdown(fn) {
+    this.hooks.shutdown.push(fn);
+    return this;
+  }
+
+  async _runHooks(name) {
+    for (const hook of this.hooks[name]) {
+      try {
+        await hook(this);
+      } catch (err) {
+        this.log.error(`${name} hook failed`, { err });
+      }
+    }
   }
 
-  async Start() {
-    this.server.listen(this.port, () => {
-      console.log(`Server running on ${this.port}`);
+  /**
+   * Start listening; resolves once the port is bound
+   * @param {{ handleSignals?: boolean }} [options] - stop gracefully on SIGTERM/SIGINT
+   * @returns {Promise<import("http").Server>}
+   */
+  async Start({ handleSignals = true } = {}) {
+    if (this.httpServer) return this.httpServer;
+    this.stopping = false;
+
+    this.httpServer = await new Promise((resolve, reject) => {
+      const httpServer = this.server.listen(this.port);
+      httpServer.once("listening", () => resolve(httpServer));
+      httpServer.once("error", reject);
+    });
+    this.httpServer.on("request", (req, res) => {
+      this.activeResponses.add(res);
+      res.on("close", () => this.activeResponses.delete(res));
     });
+    this.log.info(`Server running on ${this.port}`, { port: this.port });
+
+    if (handleSignals) this._listenForSignals();
+    await this._runHooks("start");
+    return this.httpServer;
+  }
+
+  /**
+   * Stop accepting connections, drain in-flight requests, run shutdown hooks
+   * and disconnect mongoose
+   * @param {{ timeout?: number }} [options] - ms to wait before forcing open sockets closed
+   */
+  async Stop({ timeout = 10000 } = {}) {
+    const httpServer = this.httpServer;
+    if (!httpServer) return;
+    this.httpServer = null;
+    this.stopping = true;
+    this._removeSignalListeners();
+
+    const closed = new Promise((resolve) => httpServer.close(() => resolve()));
+    // Keep-alive sockets would otherwise hold close() open: drop idle ones now
+    // and make in-flight responses close their socket once sent
+    httpServer.closeIdleConnections();
+    for (const res of this.activeResponses) {
+      if (!res.headersSent) res.setHeader("Connection", "close");
+    }
+    const forceTimer = setTimeout(() => {
+      this.log.warn(`Forcing open connections closed after ${timeout}ms`);
+      httpServer.closeAllConnections();
+    }, timeout);
+    forceTimer.unref();
+
+    await closed;
+    clearTimeout(forceTimer);
+    this.metrics?.stop();
+    this.log.info("Server stopped");
+
+    await this._runHooks("shutdown");
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+      this.log.info("Database disconnected");
+    }
+  }
+
+  _listenForSignals() {
+    for (const signal of SHUTDOWN_SIGNALS) {
+      const handler = async () => {
+        this.log.info(`${signal} received, shutting down...`);
+        try {
+          await this.Stop();
+          process.exit(0);
+        } catch (err) {
+          this.log.error("Shutdown failed", { err });
+          process.exit(1);
+        }
+      };
+      this.signalHandlers.set(signal, handler);
+      process.once(signal, handler);
+    }
+  }
+
+  _removeSignalListeners() {
+    for (const [signal, handler] of this.signalHandlers) {
+      process.removeListener(signal, handler);
+    }
+    this.signalHandlers.clear();
   }
 
   Route(route, router) {
-    this.server.use(route, router);
+    this.routes.use(route, router);
   }
 }
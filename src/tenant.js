@@ -0,0 +1,79 @@
+import { BadRequest } from "./errors.js";
+import { getContext } from "./context.js";
+
+// tenant ids end up in database names and filters
+const SAFE_TENANT = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Middleware that exposes the request's tenant as req.tenantId (and getContext().tenantId).
+ * Sources, first match wins: `resolve(req)`, then the `claim` of req.user, then the leftmost
+ * subdomain, then the `header`. With a `claim` only the claim counts: requests without
+ * req.user have no tenant unless `fallback` lets them use the subdomain or header.
+ * req.tenantId is evaluated on access, so auth middleware on individual routes still applies.
+ * @param {object} [options]
+ * @param {string|false} [options.header] - default "X-Tenant-Id"
+ * @param {boolean} [options.subdomain] - "acme.api.example.com" -> "acme"
+ * @param {string} [options.claim] - JWT claim, read from req.user
+ * @param {boolean} [options.fallback] - with `claim`, let unauthenticated requests pick a tenant by subdomain/header
+ * @param {(req) => string|null} [options.resolve] - custom lookup
+ * @param {boolean} [options.required] - reject requests without a tenant; with `claim` this is
+ * checked once req.user is set, when req.tenantId is read
+ * @returns {import("express").RequestHandler}
+ */
+export function resolveTenant({
+  header = "X-Tenant-Id",
+  subdomain = false,
+  claim,
+  fallback = false,
+  resolve,
+  required = false,
+} = {}) {
+  const lookup = (req) => {
+    if (resolve) return resolve(req);
+    if (claim && req.user) return req.user[claim] ?? null;
+    // otherwise any caller could choose the tenant on public routes
+    if (claim && !fallback) return null;
+    if (subdomain && req.subdomains.length) return req.subdomains[req.subdomains.length - 1];
+    if (header) return req.get(header) ?? null;
+    return null;
+  };
+
+  return (req, res, next) => {
+    Object.defineProperty(req, "tenantId", {
+      configurable: true,
+      enumerable: true,
+      get() {
+        const tenantId = lookup(req);
+        if (tenantId == null || tenantId === "") {
+          // the claim only exists after auth, so `required` is enforced here instead of below
+          if (required && claim && req.user) throw new BadRequest("Tenant id required", { code: "TENANT_REQUIRED" });
+          return null;
+        }
+        if (!SAFE_TENANT.test(String(tenantId))) {
+          throw new BadRequest("Invalid tenant id", { code: "INVALID_TENANT" });
+        }
+        return String(tenantId);
+      },
+    });
+
+    try {
+      if (required && (!claim || fallback) && !req.tenantId) {
+        return next(new BadRequest("Tenant id required", { code: "TENANT_REQUIRED" }));
+      }
+    } catch (err) {
+      return next(err);
+    }
+    next();
+  };
+}
+
+/**
+ * Tenant of the current request or runWithContext() call
+ * @returns {string}
+ * @throws {BadRequest} TENANT_REQUIRED when there is none
+ */
+export function currentTenant() {
+  const { tenantId } = getContext();
+  if (!tenantId) throw new BadRequest("Tenant id required", { code: "TENANT_REQUIRED" });
+  return tenantId;
+}
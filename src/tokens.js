@@ -0,0 +1,136 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Model } from "./model.js";
+import { BadRequest } from "./errors.js";
+import { toSeconds } from "./auth.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Single-use, expiring tokens for password reset, email verification, invites and the like.
+ * Only a SHA-256 hash of each token is stored: in a Model() collection by default, or in a
+ * Cache-like `store` (setItem/getItem/deleteItem) for short-lived ones.
+ */
+export class TokenService {
+  /**
+   * @param {object} [options]
+   * @param {number|string} [options.ttl] - default lifetime, seconds or "15m" style, default 1h
+   * @param {number} [options.bytes] - random bytes per token, default 32
+   * @param {string} [options.modelName] - Model() used without a store, default "OneTimeToken"
+   * @param {object} [options.store] - Cache or compatible store instead of the collection
+   */
+  constructor({ ttl = "1h", bytes = 32, modelName = "OneTimeToken", store } = {}) {
+    this.ttl = toSeconds(ttl);
+    this.bytes = bytes;
+    this.store = store || null;
+    this.model = store
+      ? null
+      : Model(modelName, {
+          hash: { type: String, required: true, unique: true },
+          purpose: { type: String, required: true },
+          subject: { type: String, required: true, index: true },
+          data: { type: mongoose.Schema.Types.Mixed, default: null },
+          // TTL index: MongoDB removes expired tokens by itself
+          expiresAt: { type: Date, required: true, expires: 0 },
+          usedAt: { type: Date, default: null },
+        });
+  }
+
+  /**
+   * Create a token; send it to the user, it cannot be read back
+   * @param {string} purpose - e.g. "password-reset", tokens only work for the purpose they were issued for
+   * @param {any} subject - usually the user id
+   * @param {{ ttl?: number|string, data?: any }} [options]
+   * @returns {Promise<string>}
+   */
+  async issue(purpose, subject, { ttl = this.ttl, data = null } = {}) {
+    const token = crypto.randomBytes(this.bytes).toString("base64url");
+    const seconds = toSeconds(ttl);
+    const record = { purpose, subject: String(subject), data, expiresAt: new Date(Date.now() + seconds * 1000) };
+
+    if (this.store) await this.store.setItem(hashToken(token), record, seconds, `tokens:${purpose}`);
+    else await this.model.create({ hash: hashToken(token), ...record });
+    return token;
+  }
+
+  /**
+   * Check a token and use it up, atomically
+   * @param {string} purpose
+   * @param {string} token
+   * @returns {Promise<{ subject: string, data: any }>}
+   * @throws {BadRequest} INVALID_TOKEN (unknown, used or another purpose) or TOKEN_EXPIRED
+   */
+  async consume(purpose, token) {
+    if (this.store) {
+      const record = await this._cached(purpose, token);
+      // deleteItem reports whether this call removed it, so a concurrent consume loses
+      if (!(await this.store.deleteItem(hashToken(token), `tokens:${purpose}`))) throw invalidToken();
+      return { subject: record.subject, data: record.data };
+    }
+
+    const now = new Date();
+    const record = await this.model.raw.findOneAndUpdate(
+      { hash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now },
+      { new: true }
+    );
+    if (!record) throw await this._rejection(purpose, token);
+    return { subject: record.subject, data: record.data };
+  }
+
+  /**
+   * Like consume() but leaves the token usable, e.g. to render a reset form first
+   * @param {string} purpose
+   * @param {string} token
+   * @returns {Promise<{ subject: string, data: any }>}
+   */
+  async verify(purpose, token) {
+    if (this.store) {
+      const { subject, data } = await this._cached(purpose, token);
+      return { subject, data };
+    }
+    const record = await this.model.raw.findOne({ hash: hashToken(token), purpose, usedAt: null }).lean();
+    if (!record || record.expiresAt <= new Date()) throw await this._rejection(purpose, token);
+    return { subject: record.subject, data: record.data };
+  }
+
+  /**
+   * @param {string} purpose
+   * @param {string} token
+   * @returns {Promise<boolean>} whether the token existed
+   */
+  async revoke(purpose, token) {
+    if (this.store) return Boolean(await this.store.deleteItem(hashToken(token), `tokens:${purpose}`));
+    const { deletedCount } = await this.model.raw.deleteOne({ hash: hashToken(token), purpose });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Drop every outstanding token of a subject, e.g. older reset links once the password changed.
+   * Needs the collection; a Cache store cannot be searched by subject.
+   * @param {string} purpose
+   * @param {any} subject
+   * @returns {Promise<number>} tokens removed
+   */
+  async revokeAll(purpose, subject) {
+    if (this.store) throw new Error("revokeAll() needs the collection store");
+    const { deletedCount } = await this.model.raw.deleteMany({ purpose, subject: String(subject), usedAt: null });
+    return deletedCount;
+  }
+
+  async _cached(purpose, token) {
+    const record = await this.store.getItem(hashToken(token), `tokens:${purpose}`);
+    if (!record) throw invalidToken();
+    if (new Date(record.expiresAt) <= new Date()) throw expiredToken();
+    return record;
+  }
+
+  // the error for a token the atomic query did not find
+  async _rejection(purpose, token) {
+    const record = await this.model.raw.findOne({ hash: hashToken(token), purpose }).lean();
+    return record && !record.usedAt && record.expiresAt <= new Date() ? expiredToken() : invalidToken();
+  }
+}
+
+const invalidToken = () => new BadRequest("Invalid token", { code: "INVALID_TOKEN" });
+const expiredToken = () => new BadRequest("Token expired", { code: "TOKEN_EXPIRED" });
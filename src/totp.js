@@ -0,0 +1,138 @@
+import crypto from "crypto";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Random TOTP secret, base32 encoded as authenticator apps expect
+ * @param {number} [bytes] - default 20 (160 bits, as RFC 4226 recommends)
+ * @returns {string}
+ */
+export function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function hotp(key, counter, { digits, algorithm }) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, "0");
+}
+
+/**
+ * RFC 6238 code for a moment in time
+ * @param {string} secret - base32
+ * @param {{ time?: number, step?: number, digits?: number, algorithm?: "sha1"|"sha256"|"sha512" }} [options]
+ * @returns {string}
+ */
+export function totp(secret, { time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}) {
+  return hotp(base32Decode(secret), Math.floor(time / 1000 / step), { digits, algorithm });
+}
+
+/**
+ * Check a code, allowing `window` steps of clock skew either way.
+ * Store the returned counter and pass it as `after` next time so a code cannot be replayed.
+ * @param {string} code
+ * @param {string} secret - base32
+ * @param {{ window?: number, after?: number, time?: number, step?: number, digits?: number, algorithm?: string }} [options]
+ * @returns {number|null} the matching time-step counter, null when the code is wrong
+ */
+export function verifyTotp(
+  code,
+  secret,
+  { window = 1, after = -1, time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}
+) {
+  const input = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(input)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(time / 1000 / step);
+  let match = null;
+  // check every candidate so timing does not reveal which step matched
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = Buffer.from(hotp(key, counter, { digits, algorithm }));
+    if (crypto.timingSafeEqual(expected, Buffer.from(input)) && counter > after && match === null) match = counter;
+  }
+  return match;
+}
+
+/**
+ * otpauth:// URI for authenticator apps, usually shown as a QR code
+ * @param {string} secret - base32
+ * @param {{ issuer: string, account: string, digits?: number, step?: number, algorithm?: string }} options
+ * @returns {string}
+ */
+export function totpUri(secret, { issuer, account, digits = 6, step = 30, algorithm = "sha1" }) {
+  const label = issuer ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` : encodeURIComponent(account);
+  // spaces as %20, not "+", which some authenticator apps show literally
+  const params = { secret, algorithm: algorithm.toUpperCase(), digits, period: step, ...(issuer && { issuer }) };
+  const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return `otpauth://totp/${label}?${query.join("&")}`;
+}
+
+const normalizeCode = (code) => String(code ?? "").toLowerCase().replace(/[\s-]/g, "");
+const hashCode = (code) => crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+
+/**
+ * One-time recovery codes for users who lose their authenticator.
+ * Show `codes` once and store only `hashes`.
+ * @param {number} [count] - default 10
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+export function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+/**
+ * Check a recovery code against the stored hashes
+ * @param {string} code - as typed; case, spaces and dashes are ignored
+ * @param {string[]} hashes
+ * @returns {string[]|null} the hashes left once this code is used up, null when it matches none
+ */
+export function useRecoveryCode(code, hashes) {
+  const hashed = Buffer.from(hashCode(code));
+  const index = hashes.findIndex(
+    (stored) => stored.length === hashed.length && crypto.timingSafeEqual(Buffer.from(stored), hashed)
+  );
+  return index === -1 ? null : hashes.filter((_, i) => i !== index);
+}
@@ -0,0 +1,185 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import busboy from "busboy";
+import { HttpError, BadRequest } from "./errors.js";
+
+/**
+ * Strip directories and anything but letters, digits, dot, dash and underscore
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeFilename(name) {
+  const base = path.basename(String(name || "")).normalize("NFKD");
+  const ext = path.extname(base).toLowerCase().replace(/[^a-z0-9.]/g, "");
+  const stem = path
+    .basename(base, path.extname(base))
+    .replace(/[^\w.-]+/g, "-")
+    .replace(/^[.-]+|[.-]+$/g, "")
+    .slice(0, 100);
+  return `${stem || "file"}${ext}`;
+}
+
+/**
+ * Default storage: writes each file to `destination` under a unique name
+ */
+export class DiskStorage {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.destination]
+   * @param {(file: object) => string} [options.filename] - defaults to "<timestamp>-<random>-<sanitized name>"
+   */
+  constructor({ destination = "uploads", filename } = {}) {
+    this.destination = destination;
+    this.filename = filename || ((file) => `${Date.now()}-${crypto.randomBytes(6).toString("hex")}-${file.safeName}`);
+  }
+
+  async save(stream, file) {
+    await fs.promises.mkdir(this.destination, { recursive: true });
+    const filename = this.filename(file);
+    const filePath = path.join(this.destination, filename);
+    let size = 0;
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+    });
+    await pipeline(stream, fs.createWriteStream(filePath));
+    return { filename, path: filePath, size };
+  }
+
+  async remove(file) {
+    if (file.path) await fs.promises.rm(file.path, { force: true });
+  }
+}
+
+function matchesType(mimeType, allowed) {
+  return allowed.some((type) =>
+    type.endsWith("/*") ? mimeType.startsWith(type.slice(0, -1)) : mimeType === type
+  );
+}
+
+/**
+ * multipart/form-data middleware: streams files to storage, puts their
+ * metadata on req.files and the text fields on req.body
+ * @param {object} [options]
+ * @param {string|string[]} [options.fields] - file field names to accept, default any
+ * @param {number} [options.maxFileSize] - bytes per file
+ * @param {number} [options.maxFiles]
+ * @param {string[]} [options.allowedTypes] - MIME types, "image/*" wildcards allowed
+ * @param {string[]} [options.allowedExtensions] - e.g. [".png", ".jpg"]
+ * @param {object} [options.storage] - { save(stream, file), remove(file) }, defaults to DiskStorage
+ * @param {string} [options.destination] - DiskStorage directory when no storage is given
+ * @param {string} [options.publicPath] - URL prefix the stored files are served from
+ * @param {object} [options.limits] - extra busboy limits (fields, fieldSize, parts)
+ * @returns {import("express").RequestHandler}
+ */
+export function upload({
+  fields,
+  maxFileSize = 10 * 1024 * 1024,
+  maxFiles = 10,
+  allowedTypes = [],
+  allowedExtensions = [],
+  destination = "uploads",
+  storage = new DiskStorage({ destination }),
+  publicPath,
+  limits = {},
+} = {}) {
+  const acceptedFields = fields ? [].concat(fields) : null;
+  const extensions = allowedExtensions.map((ext) => (ext.startsWith(".") ? ext : `.${ext}`).toLowerCase());
+
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) return next();
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { ...limits, fileSize: maxFileSize, files: maxFiles } });
+    } catch (err) {
+      return next(new BadRequest(err.message, { code: "INVALID_MULTIPART" }));
+    }
+
+    const files = [];
+    const pending = [];
+    // no prototype, so fields named "toString" or "__proto__" are plain values
+    const body = Object.create(null);
+    let failure = null;
+    const fail = (err) => {
+      failure ||= err;
+    };
+
+    parser.on("field", (name, value) => {
+      if (name in body) body[name] = [].concat(body[name], value);
+      else body[name] = value;
+    });
+
+    parser.on("file", (fieldname, stream, { filename, encoding, mimeType }) => {
+      const safeName = sanitizeFilename(filename);
+      const ext = path.extname(safeName);
+
+      if (failure) return stream.resume();
+      if (acceptedFields && !acceptedFields.includes(fieldname)) {
+        fail(new BadRequest(`Unexpected file field "${fieldname}"`, { code: "UNEXPECTED_FILE" }));
+        return stream.resume();
+      }
+      if (
+        (allowedTypes.length && !matchesType(mimeType, allowedTypes)) ||
+        (extensions.length && !extensions.includes(ext))
+      ) {
+        fail(new HttpError(415, `File type not allowed: ${filename}`, {
+          code: "UNSUPPORTED_FILE_TYPE",
+          details: { filename, mimeType },
+        }));
+        return stream.resume();
+      }
+
+      const file = { fieldname, originalName: filename, safeName, encoding, mimeType };
+      stream.on("limit", () => {
+        fail(new HttpError(413, `File too large: ${filename}`, {
+          code: "FILE_TOO_LARGE",
+          details: { filename, maxFileSize },
+        }));
+      });
+
+      pending.push(
+        storage.save(stream, file).then(
+          (stored) => {
+            const saved = { ...file, ...stored };
+            delete saved.safeName;
+            if (publicPath && saved.filename && !saved.url) {
+              saved.url = `${publicPath.replace(/\/$/, "")}/${saved.filename}`;
+            }
+            files.push(saved);
+          },
+          (err) => fail(err)
+        )
+      );
+    });
+
+    parser.on("filesLimit", () => {
+      fail(new HttpError(413, `Too many files, at most ${maxFiles} allowed`, { code: "TOO_MANY_FILES" }));
+    });
+
+    parser.on("error", (err) => {
+      fail(new BadRequest(err.message, { code: "INVALID_MULTIPART" }));
+      req.unpipe(parser);
+      finish();
+    });
+
+    let finished = false;
+    const finish = async () => {
+      if (finished) return;
+      finished = true;
+      await Promise.all(pending);
+      if (failure) {
+        // don't leave partial or rejected uploads behind
+        await Promise.all(files.map((file) => storage.remove(file).catch(() => {})));
+        return next(failure);
+      }
+      req.files = files;
+      req.body = { ...(req.body || {}), ...body };
+      next();
+    };
+    parser.on("close", finish);
+
+    req.pipe(parser);
+  };
+}
@@ -0,0 +1,277 @@
+import mongoose from "mongoose";
+import { BadRequest } from "./errors.js";
+
+/**
+ * Schemas use the same definition format as Model():
+ *   { name: { type: String, required: true, minlength: 2 }, tags: [String],
+ *     address: { city: String }, role: { type: String, enum: ["user", "admin"] } }
+ * A Model() object or a mongoose Schema can be passed instead of a definition.
+ */
+
+const TYPE_NAMES = {
+  String: "string",
+  SchemaString: "string",
+  Number: "number",
+  SchemaNumber: "number",
+  Decimal128: "number",
+  Boolean: "boolean",
+  SchemaBoolean: "boolean",
+  Date: "date",
+  SchemaDate: "date",
+  ObjectId: "objectid",
+  Object: "any",
+  Mixed: "any",
+  Buffer: "any",
+  SchemaBuffer: "any",
+  Map: "any",
+  Array: "array",
+};
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// Express 5 builds req.query and req.params without a prototype
+function isPlainObject(val) {
+  if (val === null || typeof val !== "object") return false;
+  const proto = Object.getPrototypeOf(val);
+  return proto === Object.prototype || proto === null;
+}
+
+// mongoose allows `[value, message]` or `{ values, message }` for most validators
+function withMessage(option) {
+  if (Array.isArray(option)) return { value: option[0], message: option[1] };
+  if (isPlainObject(option) && "message" in option) {
+    return { value: option.values ?? option.value, message: option.message };
+  }
+  return { value: option };
+}
+
+function definitionOf(source) {
+  if (source?.raw?.schema instanceof mongoose.Schema) return source.raw.schema.obj;
+  if (source instanceof mongoose.Schema) return source.obj;
+  return source;
+}
+
+/**
+ * Turn a Model()-style definition into a normalized spec tree
+ * @param {any} def
+ * @returns {object}
+ */
+function compile(def) {
+  def = definitionOf(def);
+
+  if (typeof def === "string") return { type: def.toLowerCase() };
+  if (typeof def === "function") return { type: TYPE_NAMES[def.name] || "any" };
+
+  if (Array.isArray(def)) {
+    return { type: "array", items: def.length ? compile(def[0]) : { type: "any" } };
+  }
+
+  if (isPlainObject(def) && "type" in def && !isPlainObject(def.type)) {
+    return { ...def, ...compile(def.type) };
+  }
+
+  if (isPlainObject(def)) {
+    const fields = {};
+    for (const [key, child] of Object.entries(def)) fields[key] = compile(child);
+    return { type: "object", fields };
+  }
+
+  return { type: "any" };
+}
+
+function coerceValue(value, type) {
+  if (typeof value !== "string") {
+    if (type === "array" && value !== undefined) return [value];
+    return value;
+  }
+  switch (type) {
+    case "number": {
+      const n = Number(value);
+      return value.trim() !== "" && Number.isFinite(n) ? n : value;
+    }
+    case "boolean":
+      if (value === "true" || value === "1") return true;
+      if (value === "false" || value === "0") return false;
+      return value;
+    case "date": {
+      const d = new Date(value);
+      return Number.isNaN(d.getTime()) ? value : d;
+    }
+    case "array":
+      return value === "" ? [] : value.split(",");
+    default:
+      return value;
+  }
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "date":
+      return (
+        (value instanceof Date || typeof value === "string" || typeof value === "number") &&
+        !Number.isNaN(new Date(value).getTime())
+      );
+    case "objectid":
+      return (typeof value === "string" && OBJECT_ID.test(value)) || value instanceof mongoose.Types.ObjectId;
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+// whether a missing object still has fields to report as required
+function hasRequired(spec) {
+  if (spec.type !== "object") return false;
+  return Object.values(spec.fields).some((child) => {
+    const required = withMessage(child.required);
+    return (typeof required.value !== "function" && Boolean(required.value)) || hasRequired(child);
+  });
+}
+
+const TYPE_LABELS = {
+  string: "a string",
+  number: "a number",
+  boolean: "a boolean",
+  date: "a valid date",
+  objectid: "a valid id",
+  object: "an object",
+  array: "an array",
+};
+
+/**
+ * Validate (and, when coercing, convert) a value against a compiled spec
+ * @returns {any} the possibly coerced value
+ */
+function check(value, spec, path, ctx) {
+  const fail = (message) => ctx.errors.push({ location: ctx.location, path: path || ctx.location, message });
+
+  if (value === undefined || value === null) {
+    if (spec.default !== undefined && !ctx.partial) {
+      return typeof spec.default === "function" ? spec.default() : spec.default;
+    }
+    const required = withMessage(spec.required);
+    const isRequired = typeof required.value === "function" ? false : Boolean(required.value);
+    if (isRequired && !ctx.partial) fail(required.message || "is required");
+    // a missing parent is checked as {} so its required fields are still reported
+    if (!ctx.partial && hasRequired(spec)) {
+      for (const [key, child] of Object.entries(spec.fields)) {
+        check(undefined, child, path ? `${path}.${key}` : key, ctx);
+      }
+    }
+    return value;
+  }
+
+  if (ctx.coerce) value = coerceValue(value, spec.type);
+  if (!checkType(value, spec.type)) {
+    fail(`must be ${TYPE_LABELS[spec.type]}`);
+    return value;
+  }
+
+  if (spec.type === "string") {
+    const min = withMessage(spec.minlength ?? spec.minLength);
+    const max = withMessage(spec.maxlength ?? spec.maxLength);
+    const match = withMessage(spec.match);
+    if (min.value !== undefined && value.length < min.value) {
+      fail(min.message || `must be at least ${min.value} characters`);
+    }
+    if (max.value !== undefined && value.length > max.value) {
+      fail(max.message || `must be at most ${max.value} characters`);
+    }
+    if (match.value instanceof RegExp && !match.value.test(value)) {
+      fail(match.message || `must match ${match.value}`);
+    }
+  }
+
+  if (spec.type === "number" || spec.type === "date") {
+    const min = withMessage(spec.min);
+    const max = withMessage(spec.max);
+    const comparable = spec.type === "date" ? new Date(value).getTime() : value;
+    const bound = (b) => (spec.type === "date" ? new Date(b).getTime() : b);
+    if (min.value !== undefined && comparable < bound(min.value)) {
+      fail(min.message || `must be >= ${min.value}`);
+    }
+    if (max.value !== undefined && comparable > bound(max.value)) {
+      fail(max.message || `must be <= ${max.value}`);
+    }
+  }
+
+  if (spec.enum !== undefined) {
+    // enum is a plain list, `{ values, message }`, or a TS-style enum object
+    const allowed = Array.isArray(spec.enum) ? { value: spec.enum } : withMessage(spec.enum);
+    const values = Array.isArray(allowed.value) ? allowed.value : Object.values(allowed.value);
+    if (!values.includes(value)) fail(allowed.message || `must be one of ${values.join(", ")}`);
+  }
+
+  if (spec.type === "object") {
+    const result = { ...value };
+    for (const [key, child] of Object.entries(spec.fields)) {
+      const checked = check(value[key], child, path ? `${path}.${key}` : key, ctx);
+      if (checked !== undefined) result[key] = checked;
+    }
+    value = result;
+  }
+
+  if (spec.type === "array") {
+    const min = withMessage(spec.minItems);
+    const max = withMessage(spec.maxItems);
+    if (min.value !== undefined && value.length < min.value) {
+      fail(min.message || `must contain at least ${min.value} items`);
+    }
+    if (max.value !== undefined && value.length > max.value) {
+      fail(max.message || `must contain at most ${max.value} items`);
+    }
+    value = value.map((item, i) => check(item, spec.items, `${path}[${i}]`, ctx));
+  }
+
+  if (spec.validate) {
+    const custom = typeof spec.validate === "function" ? { validator: spec.validate } : spec.validate;
+    if (typeof custom.validator === "function" && custom.validator(value) === false) {
+      fail(custom.message || "is invalid");
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Request validation middleware
+ * @param {{ body?: any, query?: any, params?: any }} schemas - Model()-style definitions,
+ * Model() objects or mongoose Schemas per request location
+ * @param {{ partial?: boolean }} [options] - partial ignores required/default, e.g. for PATCH
+ * @returns {import("express").RequestHandler}
+ */
+export function validate(schemas = {}, { partial = false } = {}) {
+  const compiled = Object.entries(schemas)
+    .filter(([, def]) => def !== undefined)
+    .map(([location, def]) => [location, compile(def)]);
+
+  return (req, res, next) => {
+    const errors = [];
+    for (const [location, spec] of compiled) {
+      // body is parsed JSON; query and params are always strings
+      const ctx = { location, errors, partial, coerce: location !== "body" };
+      const value = check(req[location] ?? {}, spec, "", ctx);
+      // req.query is a getter in Express 5, so redefine rather than assign
+      Object.defineProperty(req, location, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    if (errors.length) {
+      return next(new BadRequest("Validation failed", { code: "VALIDATION_ERROR", details: errors }));
+    }
+    next();
+  };
+}
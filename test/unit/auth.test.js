@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Auth, signToken, verifyToken } from "../../src/auth.js";
+
+const SECRET = "test-secret";
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const rejects = (fn, code) => assert.throws(fn, (err) => err.status === 401 && err.code === code);
+
+test("verifyToken returns the claims of a signToken() token", () => {
+  const payload = verifyToken(signToken({ sub: "42", role: "admin" }, SECRET, "15m"), SECRET);
+  assert.equal(payload.sub, "42");
+  assert.equal(payload.role, "admin");
+  assert.equal(payload.exp - payload.iat, 900);
+});
+
+test("verifyToken rejects another secret", () => {
+  rejects(() => verifyToken(signToken({ sub: "42" }, SECRET, 60), "other-secret"), "INVALID_TOKEN");
+});
+
+test("verifyToken rejects a changed payload", () => {
+  const [header, , signature] = signToken({ sub: "42", role: "user" }, SECRET, 60).split(".");
+  const now = Math.floor(Date.now() / 1000);
+  const forged = encode({ sub: "42", role: "admin", iat: now, exp: now + 60 });
+  rejects(() => verifyToken(`${header}.${forged}.${signature}`, SECRET), "INVALID_TOKEN");
+});
+
+test("verifyToken rejects a changed signature", () => {
+  const [header, body, signature] = signToken({ sub: "42" }, SECRET, 60).split(".");
+  const changed = (signature[0] === "A" ? "B" : "A") + signature.slice(1);
+  rejects(() => verifyToken(`${header}.${body}.${changed}`, SECRET), "INVALID_TOKEN");
+});
+
+test("verifyToken rejects alg none and malformed tokens", () => {
+  const body = encode({ sub: "42", exp: Math.floor(Date.now() / 1000) + 60 });
+  rejects(() => verifyToken(`${encode({ alg: "none", typ: "JWT" })}.${body}.`, SECRET), "INVALID_TOKEN");
+  for (const token of [undefined, "", "a.b", "a.b.c.d", 42]) rejects(() => verifyToken(token, SECRET), "INVALID_TOKEN");
+});
+
+test("verifyToken checks exp and nbf", () => {
+  rejects(() => verifyToken(signToken({ sub: "42" }, SECRET, -1), SECRET), "TOKEN_EXPIRED");
+  const later = Math.floor(Date.now() / 1000) + 60;
+  rejects(() => verifyToken(signToken({ sub: "42", nbf: later }, SECRET, 120), SECRET), "INVALID_TOKEN");
+});
+
+test("login hashes even when the user does not exist", async () => {
+  const checked = [];
+  const hasher = {
+    hash: async (password) => `hashed:${password}`,
+    verify: async (password, hash) => (checked.push(hash), hash === `hashed:${password}`),
+    needsRehash: () => false,
+  };
+  const users = { "known@example.com": { _id: "1", email: "known@example.com", password: "hashed:right" } };
+  const userModel = { findOne: async (filter) => users[filter.email] ?? null };
+  const auth = new Auth({ secret: SECRET, cookies: false, userModel, hasher });
+
+  await assert.rejects(auth.login("missing@example.com", "right"), { code: "INVALID_CREDENTIALS" });
+  await assert.rejects(auth.login("known@example.com", "wrong"), { code: "INVALID_CREDENTIALS" });
+  assert.equal(checked.length, 2);
+  assert.match(checked[0], /^hashed:/);
+  assert.equal((await auth.login("known@example.com", "right")).user.email, "known@example.com");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { corsPolicy, routeCors } from "../../src/cors.js";
+
+// the Access-Control-Allow-Origin each origin gets from a real Express app
+async function allowedOrigins(middleware, origins, path = "/") {
+  const app = express();
+  app.use(middleware);
+  app.use((req, res) => res.end());
+
+  const server = app.listen(0);
+  try {
+    const result = {};
+    for (const origin of origins) {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers: { Origin: origin } });
+      result[origin] = res.headers.get("access-control-allow-origin");
+    }
+    return result;
+  } finally {
+    server.close();
+  }
+}
+
+test("exact origins ignore case and a trailing slash", async () => {
+  const { middleware, warnings } = corsPolicy(["https://app.example.com/", "http://localhost:3000"]);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(
+    await allowedOrigins(middleware, ["https://APP.example.com", "http://localhost:3000", "https://other.example.com"]),
+    {
+      "https://APP.example.com": "https://APP.example.com",
+      "http://localhost:3000": "http://localhost:3000",
+      "https://other.example.com": null,
+    }
+  );
+});
+
+test("*.example.com matches subdomains only", async () => {
+  const { middleware } = corsPolicy("*.example.com");
+  const origins = [
+    "https://app.example.com",
+    "http://a.b.example.com:8080",
+    "https://example.com",
+    "https://evil-example.com",
+    "https://app.example.com.evil.io",
+    "https://appXexample.com",
+  ];
+  const allowed = await allowedOrigins(middleware, origins);
+  assert.deepEqual(
+    origins.filter((origin) => allowed[origin] === origin),
+    ["https://app.example.com", "http://a.b.example.com:8080"]
+  );
+});
+
+test("a wildcard with a scheme keeps the scheme", async () => {
+  const { middleware } = corsPolicy("https://*.example.com");
+  const allowed = await allowedOrigins(middleware, ["https://app.example.com", "http://app.example.com"]);
+  assert.equal(allowed["https://app.example.com"], "https://app.example.com");
+  assert.equal(allowed["http://app.example.com"], null);
+});
+
+test("regexes and predicates decide per origin", async () => {
+  const { middleware } = corsPolicy([/^https:\/\/preview-\d+\.example\.dev$/, (origin) => origin.endsWith(".internal")]);
+  const allowed = await allowedOrigins(middleware, ["https://preview-42.example.dev", "http://tools.internal", "https://preview-x.example.dev"]);
+  assert.deepEqual(Object.values(allowed), ["https://preview-42.example.dev", "http://tools.internal", null]);
+});
+
+test("* allows everyone without credentials and warns when credentials were asked for", async () => {
+  const { middleware, warnings } = corsPolicy("*");
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(await allowedOrigins(middleware, ["https://anything.io"]), { "https://anything.io": "*" });
+});
+
+test("origins browsers never send are reported", () => {
+  const { warnings } = corsPolicy(["https://app.example.com/login", "app.example.com"]);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /has a path/);
+  assert.match(warnings[1], /not a valid URL/);
+});
+
+test("routeCors picks the policy of the matching prefix", async () => {
+  const middleware = routeCors(
+    [["/public", corsPolicy("*").middleware]],
+    corsPolicy("https://app.example.com").middleware
+  );
+  assert.equal((await allowedOrigins(middleware, ["https://x.io"], "/public/feed"))["https://x.io"], "*");
+  assert.equal((await allowedOrigins(middleware, ["https://x.io"], "/publicity"))["https://x.io"], null);
+});
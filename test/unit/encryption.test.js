@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  setEncryptionKeys,
+  encryptField,
+  decryptField,
+  needsReencrypt,
+  sign,
+  verifySignature,
+  signUrl,
+  verifySignedUrl,
+} from "../../src/encryption.js";
+
+const SECRET = "url-secret";
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32).toString("hex");
+
+// swap one base64url character of a ":"-separated part
+function tamper(payload, index) {
+  const parts = payload.split(":");
+  parts[index] = (parts[index][0] === "A" ? "B" : "A") + parts[index].slice(1);
+  return parts.join(":");
+}
+
+const rejects = (fn, code) => assert.throws(fn, (err) => err.status === 401 && err.code === code);
+
+test("decryptField returns what encryptField encrypted", () => {
+  setEncryptionKeys({ old: oldKey });
+  const payload = encryptField("ghp_secret", { context: "githubToken" });
+  assert.match(payload, /^enc:v1:old:/);
+  assert.notEqual(encryptField("ghp_secret", { context: "githubToken" }), payload);
+  assert.equal(decryptField(payload, { context: "githubToken" }), "ghp_secret");
+  assert.equal(decryptField("not encrypted"), "not encrypted");
+});
+
+test("decryptField rejects a changed iv, tag or ciphertext", () => {
+  setEncryptionKeys({ old: oldKey });
+  const payload = encryptField("ghp_secret");
+  // enc:v1:<keyId>:<iv>:<tag>:<ciphertext>
+  for (const index of [3, 4, 5]) {
+    assert.throws(() => decryptField(tamper(payload, index)), /Could not decrypt value/);
+  }
+});
+
+test("decryptField rejects another context", () => {
+  setEncryptionKeys({ old: oldKey });
+  const payload = encryptField("ghp_secret", { context: "githubToken" });
+  assert.throws(() => decryptField(payload, { context: "apiKey" }), /Could not decrypt value/);
+  assert.throws(() => decryptField(payload), /Could not decrypt value/);
+});
+
+test("old keys keep decrypting after rotation", () => {
+  setEncryptionKeys({ old: oldKey });
+  const payload = encryptField("ghp_secret");
+  setEncryptionKeys({ old: oldKey, new: newKey });
+  assert.equal(decryptField(payload), "ghp_secret");
+  assert.ok(needsReencrypt(payload));
+  assert.ok(!needsReencrypt(encryptField("ghp_secret")));
+
+  setEncryptionKeys({ new: newKey });
+  assert.throws(() => decryptField(payload), /Unknown encryption key "old"/);
+});
+
+test("verifySignature checks sign() output", () => {
+  const signature = sign('{"event":"push"}', SECRET);
+  assert.ok(verifySignature('{"event":"push"}', signature, SECRET));
+  assert.ok(verifySignature('{"event":"push"}', `sha256=${signature}`, SECRET));
+  assert.ok(!verifySignature('{"event":"pull"}', signature, SECRET));
+  assert.ok(!verifySignature('{"event":"push"}', signature, "other-secret"));
+  assert.ok(!verifySignature('{"event":"push"}', undefined, SECRET));
+});
+
+test("verifySignedUrl accepts a signUrl() URL", () => {
+  const url = signUrl("https://example.com/files/1?b=2&a=1", SECRET, { expiresIn: "5m" });
+  assert.doesNotThrow(() => verifySignedUrl(url, SECRET));
+  // the path-only form, as in req.originalUrl
+  const { pathname, search } = new URL(url);
+  assert.doesNotThrow(() => verifySignedUrl(`${pathname}${search}`, SECRET));
+  assert.doesNotThrow(() => verifySignedUrl(signUrl("/files/1", SECRET), SECRET));
+});
+
+test("verifySignedUrl rejects changed URLs", () => {
+  const url = new URL(signUrl("https://example.com/files/1?download=0", SECRET));
+  const changed = (fn) => {
+    const copy = new URL(url);
+    fn(copy);
+    return copy.href;
+  };
+  rejects(() => verifySignedUrl(changed((u) => (u.pathname = "/files/2")), SECRET), "INVALID_SIGNATURE");
+  rejects(() => verifySignedUrl(changed((u) => u.searchParams.set("download", "1")), SECRET), "INVALID_SIGNATURE");
+  rejects(() => verifySignedUrl(changed((u) => u.searchParams.append("extra", "1")), SECRET), "INVALID_SIGNATURE");
+  rejects(() => verifySignedUrl(changed((u) => u.searchParams.set("expires", "9999999999")), SECRET), "INVALID_SIGNATURE");
+  rejects(() => verifySignedUrl(changed((u) => u.searchParams.delete("signature")), SECRET), "INVALID_SIGNATURE");
+  rejects(() => verifySignedUrl(url.href, "other-secret"), "INVALID_SIGNATURE");
+});
+
+test("verifySignedUrl rejects expired URLs", () => {
+  rejects(() => verifySignedUrl(signUrl("/files/1", SECRET, { expiresIn: 0 }), SECRET), "SIGNATURE_EXPIRED");
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PasswordHasher, checkPasswordStrength, Compare, Encrypt } from "../../src/hash.js";
+
+// low costs keep the suite fast; the checks only compare settings
+const SCRYPT = { N: 1024, r: 8, p: 1 };
+
+test("needsRehash is false for a hash made with the same settings", async () => {
+  for (const hasher of [
+    new PasswordHasher({ cost: 4 }),
+    new PasswordHasher({ algorithm: "scrypt", scrypt: SCRYPT }),
+    new PasswordHasher({ cost: 4, pepper: "pepper" }),
+  ]) {
+    const hash = await hasher.hash("correct horse");
+    assert.equal(hasher.needsRehash(hash), false);
+    assert.equal(await hasher.verify("correct horse", hash), true);
+    assert.equal(await hasher.verify("wrong horse", hash), false);
+  }
+});
+
+test("needsRehash is true when algorithm, cost, scrypt parameters or pepper change", async () => {
+  const bcrypt4 = await new PasswordHasher({ cost: 4 }).hash("pw");
+  const scrypt = await new PasswordHasher({ algorithm: "scrypt", scrypt: SCRYPT }).hash("pw");
+  const peppered = await new PasswordHasher({ cost: 4, pepper: "pepper" }).hash("pw");
+
+  assert.equal(new PasswordHasher({ cost: 5 }).needsRehash(bcrypt4), true);
+  assert.equal(new PasswordHasher({ algorithm: "scrypt", scrypt: SCRYPT }).needsRehash(bcrypt4), true);
+  assert.equal(new PasswordHasher({ cost: 4 }).needsRehash(scrypt), true);
+  assert.equal(new PasswordHasher({ algorithm: "scrypt", scrypt: { ...SCRYPT, N: 2048 } }).needsRehash(scrypt), true);
+  assert.equal(new PasswordHasher({ algorithm: "scrypt", scrypt: { ...SCRYPT, keylen: 32 } }).needsRehash(scrypt), true);
+  assert.equal(new PasswordHasher({ cost: 4, pepper: "pepper" }).needsRehash(bcrypt4), true);
+  assert.equal(new PasswordHasher({ cost: 4 }).needsRehash(peppered), true);
+  assert.equal(new PasswordHasher().needsRehash("not a hash"), true);
+  assert.equal(new PasswordHasher().needsRehash(undefined), true);
+});
+
+test("peppered hashes only verify with the same pepper", async () => {
+  const hash = await new PasswordHasher({ cost: 4, pepper: "pepper" }).hash("pw");
+  assert.match(hash, /^\$peppered\$/);
+  assert.equal(await new PasswordHasher({ cost: 4, pepper: "other" }).verify("pw", hash), false);
+  assert.equal(await new PasswordHasher({ cost: 4 }).verify("pw", hash), false);
+});
+
+test("Compare reads bcrypt hashes and returns false for empty or unreadable input", async () => {
+  const hash = await Encrypt("pw");
+  assert.equal(await Compare("pw", hash), true);
+  assert.equal(await Compare("", hash), false);
+  assert.equal(await Compare("pw", ""), false);
+  assert.equal(await Compare("pw", "garbage"), false);
+});
+
+test("hash() enforces the policy", async () => {
+  const hasher = new PasswordHasher({ cost: 4, policy: { minLength: 10 } });
+  await assert.rejects(hasher.hash("Short1!"), (err) => err.status === 400 && err.code === "WEAK_PASSWORD");
+  await assert.rejects(hasher.hash("Jane.Doe-2024!", { forbidden: ["jane.doe@example.com"] }), {
+    code: "WEAK_PASSWORD",
+    details: [{ code: "PERSONAL_INFO", message: "Do not use your name or email in the password" }],
+  });
+  assert.match(await hasher.hash("Long enough 42"), /^\$2[aby]\$04\$/);
+});
+
+test("checkPasswordStrength reports every failed rule", () => {
+  const codes = (password, options) => checkPasswordStrength(password, options).reasons.map((reason) => reason.code);
+
+  assert.deepEqual(checkPasswordStrength("Tr0ub4dor&3"), { valid: true, reasons: [] });
+  assert.deepEqual(codes("abc"), ["TOO_SHORT", "TOO_SIMPLE"]);
+  assert.deepEqual(codes("password123"), ["TOO_SIMPLE", "COMMON"]);
+  // the common list is checked case-insensitively
+  assert.deepEqual(codes("Password123"), ["COMMON"]);
+  assert.deepEqual(codes("Sunflower42"), []);
+  assert.deepEqual(codes("x".repeat(20), { maxLength: 16, minClasses: 1 }), ["TOO_LONG"]);
+  assert.deepEqual(codes("Summer2024!", { common: ["summer2024!"] }), ["COMMON"]);
+  assert.deepEqual(codes("password", { common: false, minClasses: 1 }), []);
+  assert.deepEqual(codes("Mahfuz#2024", { forbidden: ["mahfuz@example.com"] }), ["PERSONAL_INFO"]);
+  // too short to be meaningful
+  assert.deepEqual(codes("Al#2024xyz", { forbidden: ["al@example.com"] }), []);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rateLimit } from "../../src/rateLimit.js";
+
+// one request through the middleware: the headers it set and the error it passed on, if any
+async function hit(limiter, ip = "10.0.0.1") {
+  const headers = {};
+  const res = { setHeader: (name, value) => (headers[name] = value) };
+  let error;
+  await limiter({ ip }, res, (err) => (error = err));
+  return { headers, error };
+}
+
+test("fixed window allows max hits per clock-aligned window", async (t) => {
+  let now = 120000 + 10000; // 10s into a minute
+  t.mock.method(Date, "now", () => now);
+  const limiter = rateLimit({ windowMs: 60000, max: 3 });
+
+  for (const remaining of [2, 1, 0]) {
+    const { headers, error } = await hit(limiter);
+    assert.equal(error, undefined);
+    assert.equal(headers["RateLimit-Remaining"], remaining);
+    assert.equal(headers["RateLimit-Reset"], 50);
+  }
+
+  const blocked = await hit(limiter);
+  assert.equal(blocked.error.status, 429);
+  assert.equal(blocked.error.code, "RATE_LIMITED");
+  assert.equal(blocked.headers["Retry-After"], 50);
+  assert.equal(blocked.headers["RateLimit-Policy"], "3;w=60");
+
+  // other clients have their own count
+  assert.equal((await hit(limiter, "10.0.0.2")).error, undefined);
+
+  now = 180000; // next window
+  const next = await hit(limiter);
+  assert.equal(next.error, undefined);
+  assert.equal(next.headers["RateLimit-Remaining"], 2);
+  assert.equal(next.headers["RateLimit-Reset"], 60);
+});
+
+test("token bucket allows a burst of max, then refills at max per window", async (t) => {
+  let now = 1000000;
+  t.mock.method(Date, "now", () => now);
+  const limiter = rateLimit({ strategy: "token-bucket", windowMs: 10000, max: 2 });
+
+  assert.equal((await hit(limiter)).headers["RateLimit-Remaining"], 1);
+  assert.equal((await hit(limiter)).headers["RateLimit-Remaining"], 0);
+
+  const blocked = await hit(limiter);
+  assert.equal(blocked.error.status, 429);
+  // one token every 5 s
+  assert.equal(blocked.headers["Retry-After"], 5);
+
+  now += 2500;
+  assert.equal((await hit(limiter)).error.status, 429);
+
+  now += 2500;
+  const refilled = await hit(limiter);
+  assert.equal(refilled.error, undefined);
+  assert.equal(refilled.headers["RateLimit-Remaining"], 0);
+
+  // a long pause never fills the bucket beyond max
+  now += 60000;
+  assert.equal((await hit(limiter)).headers["RateLimit-Remaining"], 1);
+});
+
+test("skip bypasses the limiter and keyBy picks the bucket", async () => {
+  const limiter = rateLimit({ max: 1, keyBy: (req) => req.ip.split(".")[0], skip: (req) => req.ip === "127.0.0.1" });
+  assert.equal((await hit(limiter, "10.0.0.1")).error, undefined);
+  assert.equal((await hit(limiter, "10.9.9.9")).error.status, 429);
+  assert.deepEqual(await hit(limiter, "127.0.0.1"), { headers: {}, error: undefined });
+});
+
+test("a store without the atomic operation is rejected up front", () => {
+  const getSet = { getItem() {}, setItem() {} };
+  assert.throws(() => rateLimit({ store: getSet }), /needs an atomic increment/);
+  assert.throws(() => rateLimit({ strategy: "token-bucket", store: getSet }), /needs an atomic update/);
+  assert.throws(() => rateLimit({ strategy: "sliding-log" }), /Unknown rate limit strategy/);
+});
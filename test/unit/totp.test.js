@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateSecret, totp, verifyTotp, totpUri, generateRecoveryCodes, useRecoveryCode } from "../../src/totp.js";
+
+// RFC 6238 appendix B: the ASCII seeds "1234567890..." repeated to 20, 32 and 64 bytes
+const SEEDS = {
+  sha1: "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ",
+  sha256: "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA====",
+  sha512:
+    "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA=",
+};
+
+const VECTORS = [
+  // [seconds, sha1, sha256, sha512]
+  [59, "94287082", "46119246", "90693936"],
+  [1111111109, "07081804", "68084774", "25091201"],
+  [1111111111, "14050471", "67062674", "99943326"],
+  [1234567890, "89005924", "91819424", "93441116"],
+  [2000000000, "69279037", "90698825", "38618901"],
+  [20000000000, "65353130", "77737706", "47863826"],
+];
+
+test("totp matches the RFC 6238 test vectors", () => {
+  for (const [seconds, ...codes] of VECTORS) {
+    ["sha1", "sha256", "sha512"].forEach((algorithm, i) => {
+      assert.equal(totp(SEEDS[algorithm], { time: seconds * 1000, digits: 8, algorithm }), codes[i], `${algorithm} at ${seconds}`);
+    });
+  }
+});
+
+test("verifyTotp accepts the RFC 6238 codes and returns their time step", () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(verifyTotp(code, SEEDS.sha1, { time: seconds * 1000, digits: 8 }), Math.floor(seconds / 30));
+  }
+});
+
+test("verifyTotp allows `window` steps of clock skew", () => {
+  const time = 1111111109 * 1000;
+  const previous = totp(SEEDS.sha1, { time: time - 30000 });
+  const twoAgo = totp(SEEDS.sha1, { time: time - 60000 });
+  assert.equal(verifyTotp(previous, SEEDS.sha1, { time }), Math.floor(time / 30000) - 1);
+  assert.equal(verifyTotp(twoAgo, SEEDS.sha1, { time }), null);
+  assert.equal(verifyTotp(previous, SEEDS.sha1, { time, window: 0 }), null);
+});
+
+test("verifyTotp rejects wrong, malformed and replayed codes", () => {
+  const time = 1234567890 * 1000;
+  const code = totp(SEEDS.sha1, { time });
+  const wrong = String((Number(code) + 1) % 1000000).padStart(6, "0");
+  assert.equal(verifyTotp(wrong, SEEDS.sha1, { time }), null);
+  assert.equal(verifyTotp(code, "JBSWY3DPEHPK3PXP", { time }), null);
+  for (const input of ["", null, "12345", "1234567", "abcdef"]) assert.equal(verifyTotp(input, SEEDS.sha1, { time }), null);
+
+  const counter = verifyTotp(code, SEEDS.sha1, { time });
+  assert.equal(verifyTotp(code, SEEDS.sha1, { time, after: counter }), null);
+  assert.equal(verifyTotp(code.replace(/^(\d{3})/, "$1 "), SEEDS.sha1, { time }), counter);
+});
+
+test("generateSecret round-trips through totp and verifyTotp", () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(verifyTotp(totp(secret), secret), null);
+});
+
+test("totpUri carries the code parameters", () => {
+  const uri = new URL(totpUri(SEEDS.sha1, { issuer: "Acme Inc", account: "jane@example.com", digits: 8 }));
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(decodeURIComponent(uri.pathname), "/Acme Inc:jane@example.com");
+  assert.equal(uri.searchParams.get("secret"), SEEDS.sha1);
+  assert.equal(uri.searchParams.get("digits"), "8");
+  assert.equal(uri.searchParams.get("algorithm"), "SHA1");
+  assert.equal(uri.searchParams.get("issuer"), "Acme Inc");
+});
+
+test("a recovery code works once", () => {
+  const { codes, hashes } = generateRecoveryCodes(3);
+  assert.equal(codes.length, 3);
+  assert.ok(hashes.every((hash) => !codes.includes(hash)));
+
+  const left = useRecoveryCode(codes[1].toUpperCase().replace("-", " "), hashes);
+  assert.deepEqual(left, [hashes[0], hashes[2]]);
+  assert.equal(useRecoveryCode(codes[1], left), null);
+  assert.equal(useRecoveryCode("aaaaa-bbbbb", hashes), null);
+});
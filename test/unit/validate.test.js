@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { validate } from "../../src/validate.js";
+
+// run one request through a real Express app, so query and params are what Express builds
+async function request(path, mount, schemas) {
+  const app = express();
+  app.get(mount, validate(schemas), (req, res) => res.json({ query: req.query, params: req.params }));
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ code: err.code, details: err.details }));
+
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test("query strings are coerced to the schema types", async () => {
+  const { status, body } = await request("/items?n=5&active=true&tags=a,b", "/items", {
+    query: { n: Number, active: Boolean, tags: [String], page: { type: Number, default: 1 } },
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.query, { n: 5, active: true, tags: ["a", "b"], page: 1 });
+});
+
+test("invalid query values are reported", async () => {
+  const { status, body } = await request("/items?n=five", "/items", { query: { n: { type: Number, min: 1 } } });
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_ERROR");
+  assert.deepEqual(body.details, [{ location: "query", path: "n", message: "must be a number" }]);
+});
+
+test("route params are coerced and checked", async () => {
+  const id = "64b7f0c2a1b2c3d4e5f60718";
+  const ok = await request(`/users/${id}/posts/3`, "/users/:id/posts/:n", { params: { id: "objectid", n: Number } });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.body.params, { id, n: 3 });
+
+  const bad = await request("/users/nope/posts/3", "/users/:id/posts/:n", { params: { id: "objectid", n: Number } });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.details, [{ location: "params", path: "id", message: "must be a valid id" }]);
+});